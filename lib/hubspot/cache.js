@@ -0,0 +1,254 @@
+var _ = require('lodash');
+
+/**
+ * Caches the responses of rarely changing endpoints, those with a `cache`
+ * field in their definition, e.g. `contacts_properties` or `owners`, for the
+ * `cache` client option.
+ *
+ * Identical calls made while a response is on its way share that response
+ * instead of sending a request each. Calls of the endpoints listed in a
+ * definition's `invalidates`, and calls of a cached endpoint with another
+ * verb than GET, drop the cached responses of those endpoints.
+ *
+ * Available options are:
+ *  - store       Where responses are kept. Defaults to a {@link MemoryCacheStore}.
+ *  - max         Number of responses the default store keeps. Defaults to 500.
+ *  - ttl         Time to live in ms by endpoint name, overriding the one of
+ *                the definition. `0` disables caching of the endpoint.
+ *  - namespace   Prefix of the keys, telling apart the portals sharing a store
+ *
+ * A store is any object with the functions
+ *
+ *  - get(key, callback)             Calls back with the value or null
+ *  - set(key, value, ttl, callback) Keeps the value, a string, for `ttl` ms
+ *  - del(key, callback)             Drops the value
+ *
+ * so Redis and the like can be plugged in.
+ *
+ * @param options Cache options
+ */
+function ResponseCache(options) {
+  options = options || {};
+
+  this.store = options.store || new MemoryCacheStore({ max: options.max });
+  this.ttl = options.ttl || {};
+  this.namespace = options.namespace || 'hubspot:';
+  this.pending = {};
+  this.keys = {};
+  this.generation = 0;
+}
+
+/**
+ * Answers a call from the cache, or sends it, depending on the endpoint.
+ *
+ * @param name Name of the endpoint
+ * @param definition Its definition
+ * @param params Params of the call
+ * @param send function (callback) sending the request
+ * @param callback Called with the response
+ */
+ResponseCache.prototype.call = function (name, definition, params, send, callback) {
+  var self = this;
+  var verb = definition.verbs && params.verb ? String(params.verb).toUpperCase() : definition.verb;
+
+  if (verb !== 'GET') {
+    var invalidates = [].concat(definition.invalidates || [], definition.cache ? [name] : []);
+
+    if (!invalidates.length) {
+      return send(callback);
+    }
+
+    // The write may have changed something even when it failed
+    return send(function (error, result) {
+      self.invalidate(invalidates, function () {
+        callback(error, result);
+      });
+    });
+  }
+
+  var ttl = this.ttlOf(name, definition);
+
+  if (!ttl) {
+    return send(callback);
+  }
+
+  var key = this.key(name, params);
+
+  if (this.pending[key]) {
+    return this.pending[key].push(callback);
+  }
+
+  this.pending[key] = [callback];
+
+  this.store.get(key, function (error, cached) {
+    if (!error && cached !== null && cached !== undefined) {
+      return self.settle(key, null, cached);
+    }
+
+    var generation = self.generation;
+
+    send(function (error, result) {
+      if (error) {
+        return self.settle(key, error);
+      }
+
+      var value = JSON.stringify(result === undefined ? null : result);
+
+      self.settle(key, null, value);
+
+      // Responses requested before an invalidation may already be stale
+      if (generation === self.generation) {
+        self.remember(name, key);
+        self.store.set(key, value, ttl, function () {});
+      }
+    });
+  });
+};
+
+/**
+ * Drops the cached responses of some or all endpoints. Responses cached with
+ * a shared store by other clients are dropped too, as far as they were
+ * requested with the same params as the ones of this client.
+ *
+ * @param names Optional name or names of endpoints, e.g. `owners`. All of them when omitted.
+ * @param callback Optional callback
+ */
+ResponseCache.prototype.invalidate = function (names, callback) {
+  var self = this;
+
+  if (typeof names === 'function') {
+    callback = names;
+    names = undefined;
+  }
+
+  names = names ? [].concat(names) : Object.keys(this.keys);
+  this.generation++;
+
+  var keys = _.flatten(names.map(function (name) {
+    var known = Object.keys(self.keys[name] || {});
+    delete self.keys[name];
+
+    return _.uniq(known.concat(self.key(name, {})));
+  }));
+
+  var left = keys.length;
+
+  keys.forEach(function (key) {
+    self.store.del(key, function () {
+      if (--left === 0 && callback) {
+        callback(null);
+      }
+    });
+  });
+
+  if (!keys.length && callback) {
+    process.nextTick(callback);
+  }
+};
+
+ResponseCache.prototype.ttlOf = function (name, definition) {
+  if (this.ttl[name] !== undefined) {
+    return this.ttl[name];
+  }
+
+  return definition.cache ? definition.cache.ttl : 0;
+};
+
+ResponseCache.prototype.key = function (name, params) {
+  return this.namespace + name + ':' + JSON.stringify(sortKeys(params));
+};
+
+ResponseCache.prototype.remember = function (name, key) {
+  this.keys[name] = this.keys[name] || {};
+  this.keys[name][key] = true;
+};
+
+/**
+ * Hands the response to every call waiting for it, each getting its own copy.
+ */
+ResponseCache.prototype.settle = function (key, error, value) {
+  var callbacks = this.pending[key];
+
+  delete this.pending[key];
+
+  callbacks.forEach(function (callback) {
+    if (error) {
+      return callback(error);
+    }
+
+    callback(null, JSON.parse(value));
+  });
+};
+
+/**
+ * In-memory store of a {@link ResponseCache}, dropping the least recently
+ * used entries beyond `max` (500 by default).
+ *
+ * @param options Store options
+ */
+function MemoryCacheStore(options) {
+  options = options || {};
+
+  this.max = options.max || 500;
+  this.entries = new Map();
+}
+
+MemoryCacheStore.prototype.get = function (key, callback) {
+  var entry = this.entries.get(key);
+
+  if (entry && entry.expiresAt <= Date.now()) {
+    this.entries.delete(key);
+    entry = null;
+  }
+
+  if (entry) {
+    // Moves the entry to the end, where the most recently used ones are
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+  }
+
+  process.nextTick(function () {
+    callback(null, entry ? entry.value : null);
+  });
+};
+
+MemoryCacheStore.prototype.set = function (key, value, ttl, callback) {
+  this.entries.delete(key);
+  this.entries.set(key, { value: value, expiresAt: ttl ? Date.now() + ttl : Infinity });
+
+  while (this.entries.size > this.max) {
+    this.entries.delete(this.entries.keys().next().value);
+  }
+
+  process.nextTick(callback);
+};
+
+MemoryCacheStore.prototype.del = function (key, callback) {
+  this.entries.delete(key);
+  process.nextTick(callback);
+};
+
+/**
+ * Copy of a value with the keys of its objects sorted at any depth, so the
+ * same params given in another order make the same key.
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+
+  if (!value || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+
+  var sorted = {};
+
+  Object.keys(value).sort().forEach(function (key) {
+    sorted[key] = sortKeys(value[key]);
+  });
+
+  return sorted;
+}
+
+exports.ResponseCache = ResponseCache;
+exports.MemoryCacheStore = MemoryCacheStore;
@@ -0,0 +1,137 @@
+var fs = require('fs');
+
+/**
+ * Cursor stores keep the position of incremental syncs, see {@link Sync}.
+ * A store is any object with the functions
+ *
+ *  - load(key, callback)           Calls back with the cursor saved under
+ *                                  the key, or null if there is none
+ *  - save(key, cursor, callback)   Persists the cursor, a plain JSON object
+ *
+ * so a database or a key-value store can be plugged in as well.
+ */
+
+/**
+ * Keeps cursors in memory, for tests and for processes syncing only while
+ * they run.
+ *
+ * @param cursors Optional initial cursors, by key
+ */
+function MemoryCursorStore(cursors) {
+  this.cursors = cursors || {};
+}
+
+MemoryCursorStore.prototype.load = function (key, callback) {
+  var cursor = this.cursors[key] || null;
+
+  process.nextTick(function () {
+    callback(null, cursor);
+  });
+};
+
+MemoryCursorStore.prototype.save = function (key, cursor, callback) {
+  this.cursors[key] = cursor;
+  process.nextTick(callback);
+};
+
+/**
+ * Keeps the cursors of every key in a single JSON file, which is replaced
+ * atomically on every save. The file is read once; only one process should
+ * use it at a time.
+ *
+ * @param file Path of the JSON file, created on the first save
+ */
+function FileCursorStore(file) {
+  this.file = file;
+  this.cursors = null;
+  this.writing = false;
+  this.pending = [];
+}
+
+FileCursorStore.prototype.load = function (key, callback) {
+  this.read(function (error, cursors) {
+    callback(error, error ? undefined : cursors[key] || null);
+  });
+};
+
+FileCursorStore.prototype.save = function (key, cursor, callback) {
+  var self = this;
+
+  this.read(function (error, cursors) {
+    if (error) {
+      return callback(error);
+    }
+
+    cursors[key] = cursor;
+    self.flush(callback);
+  });
+};
+
+FileCursorStore.prototype.read = function (callback) {
+  var self = this;
+
+  if (this.cursors) {
+    return process.nextTick(function () {
+      callback(null, self.cursors);
+    });
+  }
+
+  fs.readFile(this.file, 'utf8', function (error, data) {
+    if (error && error.code !== 'ENOENT') {
+      return callback(error);
+    }
+
+    try {
+      self.cursors = self.cursors || (data ? JSON.parse(data) : {});
+    } catch (e) {
+      return callback(new Error('Invalid cursor file ' + self.file + ': ' + e.message));
+    }
+
+    callback(null, self.cursors);
+  });
+};
+
+/**
+ * Writes the cursors to a temporary file renamed over the store's file.
+ * Saves arriving during a write are done together by the next one.
+ */
+FileCursorStore.prototype.flush = function (callback) {
+  var self = this;
+
+  this.pending.push(callback);
+
+  if (this.writing) {
+    return;
+  }
+
+  (function write() {
+    var callbacks = self.pending;
+    var temporary = self.file + '.' + process.pid + '.tmp';
+
+    self.pending = [];
+    self.writing = true;
+
+    fs.writeFile(temporary, JSON.stringify(self.cursors, null, 2) + '\n', function (error) {
+      if (error) {
+        return written(error);
+      }
+
+      fs.rename(temporary, self.file, written);
+    });
+
+    function written(error) {
+      self.writing = false;
+
+      callbacks.forEach(function (callback) {
+        callback(error || null);
+      });
+
+      if (self.pending.length) {
+        write();
+      }
+    }
+  })();
+};
+
+exports.MemoryCursorStore = MemoryCursorStore;
+exports.FileCursorStore = FileCursorStore;
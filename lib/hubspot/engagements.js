@@ -0,0 +1,220 @@
+var _ = require('lodash');
+var errors = require('./errors');
+
+/**
+ * Builders of engagement bodies, as taken by `engagements_create`. Each
+ * takes the type's metadata plus the common options
+ *
+ *  - ownerId       Owner of the engagement
+ *  - timestamp     Time of the engagement, as Date or ms since epoch
+ *  - active        Defaults to true
+ *  - associations  {contactIds, companyIds, dealIds, ownerIds}
+ *  - attachments   [{id}]
+ *
+ * and throws a {@link HubspotValidationError} listing every problem of the
+ * metadata before anything is sent, e.g.
+ *
+ *   engagements.call({ toNumber: '+1 555 0100', durationMilliseconds: 38000, status: 'COMPLETED' },
+ *                    { ownerId: 1, associations: { contactIds: [4711] } })
+ *
+ * @see http://developers.hubspot.com/docs/methods/engagements/engagements-overview
+ */
+
+var CALL_STATUSES = ['BUSY', 'CALLING_CRM_USER', 'CANCELED', 'COMPLETED', 'CONNECTING', 'FAILED', 'IN_PROGRESS', 'NO_ANSWER', 'QUEUED', 'RINGING'];
+var TASK_STATUSES = ['NOT_STARTED', 'IN_PROGRESS', 'WAITING', 'COMPLETED', 'DEFERRED'];
+var TASK_OBJECT_TYPES = ['CONTACT', 'COMPANY'];
+var TYPES = ['NOTE', 'CALL', 'EMAIL', 'TASK', 'MEETING'];
+
+/**
+ * Checks the metadata of every engagement type. Each returns the list of
+ * problems found, as {property, error, message}.
+ */
+var validators = {
+  NOTE: function (metadata) {
+    return [].concat(
+      required(metadata, 'body'),
+      string(metadata, 'body')
+    );
+  },
+
+  CALL: function (metadata) {
+    return [].concat(
+      string(metadata, 'toNumber'),
+      string(metadata, 'fromNumber'),
+      string(metadata, 'body'),
+      string(metadata, 'recordingUrl'),
+      string(metadata, 'disposition'),
+      oneOf(metadata, 'status', CALL_STATUSES),
+      duration(metadata, 'durationMilliseconds')
+    );
+  },
+
+  EMAIL: function (metadata) {
+    var problems = [].concat(
+      string(metadata, 'subject'),
+      string(metadata, 'html'),
+      string(metadata, 'text')
+    );
+
+    if (metadata.from !== undefined && !(metadata.from && metadata.from.email)) {
+      problems.push(problem('from', 'must be an object with an email'));
+    }
+
+    ['to', 'cc', 'bcc'].forEach(function (field) {
+      var recipients = metadata[field];
+
+      if (recipients !== undefined && !(Array.isArray(recipients) && _.every(recipients, 'email'))) {
+        problems.push(problem(field, 'must be a list of objects with an email'));
+      }
+    });
+
+    return problems;
+  },
+
+  TASK: function (metadata) {
+    return [].concat(
+      required(metadata, 'subject'),
+      string(metadata, 'subject'),
+      string(metadata, 'body'),
+      oneOf(metadata, 'status', TASK_STATUSES),
+      oneOf(metadata, 'forObjectType', TASK_OBJECT_TYPES)
+    );
+  },
+
+  MEETING: function (metadata) {
+    var problems = [].concat(
+      required(metadata, 'startTime'),
+      required(metadata, 'endTime'),
+      time(metadata, 'startTime'),
+      time(metadata, 'endTime'),
+      string(metadata, 'title'),
+      string(metadata, 'body')
+    );
+
+    if (!problems.length && toTime(metadata.endTime) < toTime(metadata.startTime)) {
+      problems.push(problem('endTime', 'must not be before startTime'));
+    }
+
+    return problems;
+  }
+};
+
+/**
+ * Checks an engagement body: its type has to be one of NOTE, CALL, EMAIL,
+ * TASK or MEETING, and its metadata has to fit the type.
+ *
+ * @param body {engagement: {type}, metadata}
+ * @return {@link HubspotValidationError} listing the problems found in
+ *         `failures` ({property, error, message}) and, as text, in
+ *         `problems`. Null if there are none.
+ */
+exports.validate = function validate(body) {
+  var type = body && body.engagement && body.engagement.type;
+
+  if (TYPES.indexOf(type) === -1) {
+    return validationError('Invalid engagement', [problem('type', 'must be one of ' + TYPES.join(', '), 'INVALID_OPTION')]);
+  }
+
+  var failures = validators[type](body.metadata || {});
+  if (!failures.length) {
+    return null;
+  }
+
+  return validationError('Invalid ' + type + ' engagement', failures);
+};
+
+/**
+ * Turns the Dates of an engagement body, its `engagement.timestamp` and
+ * the times of its metadata, e.g. a meeting's `startTime`, into the ms since
+ * epoch the API takes. Used by the builders and `engagements_create`.
+ *
+ * @param body {engagement, metadata, ...}
+ * @return Copy of the body
+ */
+exports.toWire = function toWire(body) {
+  body = _.clone(body || {});
+
+  if (body.engagement) {
+    body.engagement = _.omit(_.assign({}, body.engagement, { timestamp: toTime(body.engagement.timestamp) }), _.isUndefined);
+  }
+
+  if (body.metadata) {
+    body.metadata = _.mapValues(body.metadata, toTime);
+  }
+
+  return body;
+};
+
+exports.note = builder('NOTE');
+exports.call = builder('CALL');
+exports.email = builder('EMAIL');
+exports.task = builder('TASK');
+exports.meeting = builder('MEETING');
+
+function builder(type) {
+  return function (metadata, options) {
+    options = options || {};
+
+    var body = exports.toWire({
+      engagement: _.omit({
+        active: options.active !== undefined ? options.active : true,
+        ownerId: options.ownerId,
+        type: type,
+        timestamp: options.timestamp
+      }, _.isUndefined),
+      associations: options.associations || {},
+      attachments: options.attachments || [],
+      metadata: metadata || {}
+    });
+
+    var error = exports.validate(body);
+    if (error) {
+      throw error;
+    }
+
+    return body;
+  };
+}
+
+function toTime(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function validationError(message, failures) {
+  var error = new errors.HubspotValidationError(message + ': ' + _.pluck(failures, 'message').join(', '));
+
+  error.failures = failures;
+  error.problems = _.pluck(failures, 'message');
+  return error;
+}
+
+function problem(field, message, error) {
+  return { property: field, error: error || 'INVALID_VALUE', message: field + ' ' + message };
+}
+
+function required(metadata, field) {
+  return metadata[field] === undefined || metadata[field] === null ? [problem(field, 'is required', 'REQUIRED')] : [];
+}
+
+function string(metadata, field) {
+  return metadata[field] !== undefined && typeof metadata[field] !== 'string' ? [problem(field, 'must be a string')] : [];
+}
+
+function oneOf(metadata, field, values) {
+  return metadata[field] !== undefined && values.indexOf(metadata[field]) === -1 ?
+    [problem(field, 'must be one of ' + values.join(', '), 'INVALID_OPTION')] : [];
+}
+
+function duration(metadata, field) {
+  var value = metadata[field];
+
+  return value !== undefined && !(typeof value === 'number' && value >= 0 && value % 1 === 0) ?
+    [problem(field, 'must be a non-negative integer')] : [];
+}
+
+function time(metadata, field) {
+  var value = metadata[field];
+
+  return value !== undefined && value !== null && !(value instanceof Date || typeof value === 'number' && !isNaN(value)) ?
+    [problem(field, 'must be a Date or ms since epoch')] : [];
+}
@@ -0,0 +1,200 @@
+var util = require('util');
+
+/**
+ * Errors of hubspot API requests. Every error is a {@link HubspotError}
+ * carrying
+ *
+ *  - method, path      The request that failed (credentials excluded)
+ *  - statusCode, code  HTTP status of the response, if one was received
+ *  - body              Raw response body
+ *  - requestId, correlationId, category, errors   As reported by HubSpot
+ *
+ * and the type of failure is told by its class, e.g.
+ *
+ *   if (error instanceof hubspot.HubspotRateLimitError) {
+ *     setTimeout(again, error.retryAfter);
+ *   }
+ */
+
+function HubspotError(message, details) {
+  details = details || {};
+
+  Error.call(this);
+  Error.captureStackTrace(this, this.constructor);
+
+  this.name = this.constructor.name;
+  this.message = message;
+  this.method = details.method;
+  this.path = details.path;
+  this.body = details.body;
+
+  if (details.statusCode) {
+    this.code = details.statusCode;
+    this.statusCode = details.statusCode;
+  }
+
+  var json = details.json || {};
+
+  if (json.requestId) {
+    this.requestId = json.requestId;
+    this.request_id = json.requestId;
+  }
+
+  this.correlationId = json.correlationId;
+  this.category = json.category;
+  this.errors = json.errors || [];
+}
+
+util.inherits(HubspotError, Error);
+
+/**
+ * 401 and 403: the credentials are invalid, expired or lack a scope.
+ */
+function HubspotAuthError(message, details) {
+  HubspotError.call(this, message, details);
+}
+
+util.inherits(HubspotAuthError, HubspotError);
+
+/**
+ * 429: a rate limit of the portal or app was hit.
+ *
+ *  - policyName          `SECONDLY` or `DAILY`, the limit that was hit
+ *  - retryAfter          ms to wait before trying again, if known
+ *  - dailyRemaining      Requests left today
+ *  - secondlyRemaining   Requests left in the current interval
+ */
+function HubspotRateLimitError(message, details) {
+  HubspotError.call(this, message, details);
+
+  var json = (details && details.json) || {};
+  var headers = (details && details.headers) || {};
+
+  this.policyName = json.policyName;
+  this.retryAfter = retryAfter(headers['retry-after'], json.policyName);
+  this.dailyRemaining = number(headers['x-hubspot-ratelimit-daily-remaining']);
+  this.secondlyRemaining = number(headers['x-hubspot-ratelimit-secondly-remaining']);
+}
+
+util.inherits(HubspotRateLimitError, HubspotError);
+
+/**
+ * 400, 409 and 422, or a response listing invalid properties.
+ *
+ *  - validationResults   As reported by HubSpot
+ *  - failures            [{property, error, message}] per invalid property
+ */
+function HubspotValidationError(message, details) {
+  HubspotError.call(this, message, details);
+
+  var json = (details && details.json) || {};
+
+  this.validationResults = json.validationResults || [];
+  this.failures = validationFailures(json);
+}
+
+util.inherits(HubspotValidationError, HubspotError);
+
+/**
+ * 404: the requested object does not exist.
+ */
+function HubspotNotFoundError(message, details) {
+  HubspotError.call(this, message, details);
+}
+
+util.inherits(HubspotNotFoundError, HubspotError);
+
+/**
+ * 5xx: HubSpot failed or is unavailable.
+ */
+function HubspotServerError(message, details) {
+  HubspotError.call(this, message, details);
+}
+
+util.inherits(HubspotServerError, HubspotError);
+
+/**
+ * No response was received. The error of the connection is in `prevError`.
+ */
+function HubspotNetworkError(message, details) {
+  HubspotError.call(this, message, details);
+
+  this.prevError = details && details.cause;
+}
+
+util.inherits(HubspotNetworkError, HubspotError);
+
+exports.HubspotError = HubspotError;
+exports.HubspotAuthError = HubspotAuthError;
+exports.HubspotRateLimitError = HubspotRateLimitError;
+exports.HubspotValidationError = HubspotValidationError;
+exports.HubspotNotFoundError = HubspotNotFoundError;
+exports.HubspotServerError = HubspotServerError;
+exports.HubspotNetworkError = HubspotNetworkError;
+
+/**
+ * Picks the error class matching a failed response.
+ *
+ * @param {number} statusCode HTTP status of the response
+ * @param {Object} json Parsed response body, if it was JSON
+ * @return The error constructor
+ */
+exports.forResponse = function forResponse(statusCode, json) {
+  if (statusCode === 401 || statusCode === 403) {
+    return HubspotAuthError;
+  }
+
+  if (statusCode === 429) {
+    return HubspotRateLimitError;
+  }
+
+  if (statusCode === 404) {
+    return HubspotNotFoundError;
+  }
+
+  if (statusCode >= 500) {
+    return HubspotServerError;
+  }
+
+  if (statusCode === 400 || statusCode === 409 || statusCode === 422 ||
+      (json && (json.validationResults || json.category === 'VALIDATION_ERROR'))) {
+    return HubspotValidationError;
+  }
+
+  return HubspotError;
+};
+
+function validationFailures(json) {
+  var failures = (json.validationResults || []).filter(function (result) {
+    return result.isValid !== true;
+  }).map(function (result) {
+    return { property: result.name, error: result.error, message: result.message };
+  });
+
+  (json.errors || []).forEach(function (error) {
+    var properties = (error.context && error.context.propertyName) || [undefined];
+
+    [].concat(properties).forEach(function (property) {
+      failures.push({ property: property, error: error.code || error.error, message: error.message });
+    });
+  });
+
+  return failures;
+}
+
+function retryAfter(header, policyName) {
+  if (header) {
+    var seconds = Number(header);
+    var delay = isNaN(seconds) ? Date.parse(header) - Date.now() : seconds * 1000;
+
+    if (!isNaN(delay)) {
+      return Math.max(delay, 0);
+    }
+  }
+
+  return policyName === 'SECONDLY' ? 1000 : undefined;
+}
+
+function number(value) {
+  return value === undefined || value === '' ? undefined : Number(value);
+}
@@ -0,0 +1,222 @@
+var Transform = require('stream').Transform;
+var util = require('util');
+var _ = require('lodash');
+var transport = require('./transport');
+var objects = require('./objects');
+
+var FORMATS = ['ndjson', 'csv'];
+
+/**
+ * Readable stream of every contact, company or deal, as NDJSON or CSV.
+ *
+ * Records are requested one page at a time, and only as fast as the stream
+ * is consumed: piped into a slow destination, the export waits instead of
+ * buffering. The first page is requested once the stream is read.
+ *
+ * Each NDJSON line is `{"id": ..., "properties": {...}}`, CSV rows have an
+ * `id` column followed by one per property. Properties are written in the
+ * order given, or sorted by name when all of them are exported, and missing
+ * values are written as `null` (NDJSON) or empty cells (CSV), so every line
+ * has the same columns.
+ *
+ * Available options are:
+ *  - format       `ndjson` (default) or `csv`
+ *  - properties   Names of the properties to export. Defaults to every
+ *                 property of the type, see `contacts_properties` etc.
+ *  - history      Add the history of every property, as `history: {name: versions}`
+ *                 (NDJSON) or a JSON `name.history` column next to each property (CSV),
+ *                 versions being `[{value, timestamp, source}]`
+ *  - maxItems     Stop after this many records
+ *
+ * and the {@link transport.callOptions} of its requests.
+ *
+ * @param api Instance of {@link hubspotAPI}
+ * @param type Object type, `contacts`, `companies` or `deals`
+ * @param options Export options
+ */
+function Export(api, type, options) {
+  options = options || {};
+
+  if (!objects[type]) {
+    throw new Error('Export is not supported for ' + type + ', only for ' + Object.keys(objects).join(', '));
+  }
+
+  var format = options.format || 'ndjson';
+
+  if (FORMATS.indexOf(format) === -1) {
+    throw new Error('Unknown export format ' + format + ', use one of ' + FORMATS.join(', '));
+  }
+
+  Transform.call(this, { writableObjectMode: true });
+
+  this.api = api;
+  this.type = type;
+  this.config = objects[type];
+  this.format = format;
+  this.properties = options.properties ? [].concat(options.properties) : null;
+  this.history = !!options.history;
+  this.maxItems = options.maxItems;
+  this.requestOptions = _.pick(options, transport.callOptions);
+  this.started = false;
+  this.pages = null;
+}
+
+util.inherits(Export, Transform);
+
+module.exports = Export;
+
+Export.prototype._read = function (size) {
+  if (!this.started) {
+    this.started = true;
+    this.start();
+  }
+
+  Transform.prototype._read.call(this, size);
+};
+
+/**
+ * Settles the columns, then pipes the pages of the type's listing endpoint
+ * through the stream.
+ */
+Export.prototype.start = function () {
+  var self = this;
+
+  this.columns(function (error, properties) {
+    if (error) {
+      return self.destroy(error);
+    }
+
+    if (self.destroyed) {
+      return;
+    }
+
+    self.properties = properties;
+
+    if (self.format === 'csv') {
+      self.push(csvRow(self.header()));
+    }
+
+    self.pages = self.api.paginate(self.config.all, self.params(), _.assign({ maxItems: self.maxItems }, self.requestOptions));
+    self.pages.on('error', function (error) {
+      self.destroy(error);
+    });
+    self.pages.pipe(self);
+  });
+};
+
+Export.prototype.columns = function (callback) {
+  if (this.properties) {
+    return callback(null, this.properties);
+  }
+
+  this.api.propertyDefinitions(this.type, function (error, definitions) {
+    callback(error, error ? undefined : Object.keys(definitions).sort());
+  });
+};
+
+Export.prototype.params = function () {
+  var params = _.clone(this.config.allParams);
+
+  if (this.history && this.config.historyProperties) {
+    params[this.config.historyProperties] = this.properties;
+  } else {
+    params[this.config.propertiesParam] = this.properties;
+  }
+
+  if (this.history && this.config.historyParams) {
+    _.assign(params, this.config.historyParams);
+  }
+
+  return params;
+};
+
+Export.prototype.header = function () {
+  var history = this.history;
+
+  return ['id'].concat(_.flatten(this.properties.map(function (name) {
+    return history ? [name, name + '.history'] : [name];
+  })));
+};
+
+Export.prototype._transform = function (record, encoding, callback) {
+  var properties = record.properties || {};
+  var history = this.history;
+  var values = {};
+  var versions = {};
+
+  this.properties.forEach(function (name) {
+    values[name] = cellValue(properties[name]);
+
+    if (history) {
+      versions[name] = propertyHistory(properties[name]);
+    }
+  });
+
+  var id = record[this.config.id];
+
+  if (this.format === 'ndjson') {
+    var line = { id: id, properties: values };
+
+    if (history) {
+      line.history = versions;
+    }
+
+    return callback(null, JSON.stringify(line) + '\n');
+  }
+
+  callback(null, csvRow([id].concat(_.flatten(this.properties.map(function (name) {
+    return history ? [values[name], JSON.stringify(versions[name])] : [values[name]];
+  })))));
+};
+
+Export.prototype._destroy = function (error, callback) {
+  if (this.pages) {
+    this.pages.unpipe(this);
+    this.pages.destroy();
+  }
+
+  callback(error);
+};
+
+/**
+ * @return The value of a property, also with normalized properties
+ */
+function cellValue(property) {
+  var value = property && typeof property === 'object' && !(property instanceof Date) && !Array.isArray(property) ?
+    property.value : property;
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (Array.isArray(value)) {
+    return value.join(';');
+  }
+
+  return value === undefined ? null : value;
+}
+
+function propertyHistory(property) {
+  var versions = property && property.versions || [];
+
+  return versions.map(function (version) {
+    return {
+      value: version.value,
+      timestamp: version.timestamp,
+      source: version['source-type'] || version.sourceType || version.source
+    };
+  });
+}
+
+function csvRow(cells) {
+  return cells.map(csvCell).join(',') + '\r\n';
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  value = String(value);
+  return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+}
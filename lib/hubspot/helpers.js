@@ -1,3 +1,6 @@
+var _ = require('lodash');
+var errors = require('./errors');
+
 /**
  * Recursively encode an object as application/x-www-form-urlencoded.
  *
@@ -33,20 +36,226 @@ exports.serialize = function serialize(value, key) {
 
 };
 
+/**
+ * Encodes query params. Arrays become repeated params, as the API expects
+ * (`property=a&property=b`), and undefined or null values are left out.
+ *
+ * @param {Object} params Params to encode
+ * @return {string} The query string including the leading `?`, or an empty
+ *                  string when there are no params
+ */
+exports.queryString = function queryString(params) {
+  var pairs = [];
+
+  _.forEach(params, function (value, key) {
+    [].concat(value).forEach(function (item) {
+      if (item === undefined || item === null) {
+        return;
+      }
+
+      if (item instanceof Date) {
+        item = item.getTime();
+      }
+
+      pairs.push(encodeURIComponent(key) + '=' + encodeURIComponent(item));
+    });
+  });
+
+  return pairs.length ? '?' + pairs.join('&') : '';
+};
+
+var CREDENTIALS = ['hapikey', 'access_token', 'refresh_token', 'client_secret', 'code'];
+var CREDENTIALS_IN_TEXT = new RegExp('\\b(' + CREDENTIALS.join('|') + ')=[^&\\s"\']+', 'g');
+
+/**
+ * Masks credentials in what is about to be logged: params named like one
+ * (`hapikey`, `access_token`, ...) in objects, `name=value` pairs in strings.
+ *
+ * @param value Object or string to redact
+ * @return A redacted copy
+ */
+exports.redact = function redact(value) {
+  if (typeof value === 'string') {
+    return value.replace(CREDENTIALS_IN_TEXT, '$1=[REDACTED]');
+  }
+
+  if (!value || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+
+  return _.mapValues(value, function (item, key) {
+    return CREDENTIALS.indexOf(key) !== -1 ? '[REDACTED]' : redact(item);
+  });
+};
+
+/**
+ * Logger used with the `DEBUG` option when no `logger` is given, printing
+ * the entries to the console.
+ */
+exports.consoleLogger = {};
+
+['debug', 'info', 'warn', 'error'].forEach(function (level) {
+  exports.consoleLogger[level] = function (entry, message) {
+    console[level === 'debug' ? 'log' : level](message, entry);
+  };
+});
+
+/**
+ * Builds a node-style callback that settles a Promise. Used by every API
+ * method to return a Promise when the caller does not pass a callback.
+ *
+ * @param {Function} resolve Promise resolve function
+ * @param {Function} reject Promise reject function
+ * @return {Function} callback(error, result)
+ */
+exports.settle = function settle(resolve, reject) {
+  return function (error, result) {
+    if (error) {
+      return reject(error);
+    }
+
+    resolve(result);
+  };
+};
+
+/**
+ * Runs an asynchronous task taking a node-style callback. Returns a Promise
+ * of its result when no callback is given.
+ *
+ * @param {Function} callback Optional callback(error, result)
+ * @param {Function} work Function called with the callback to settle
+ * @return Promise when no callback is given
+ */
+exports.promiseOrCallback = function promiseOrCallback(callback, work) {
+  if (typeof callback === 'function') {
+    return work(callback);
+  }
+
+  return new Promise(function (resolve, reject) {
+    work(exports.settle(resolve, reject));
+  });
+};
+
+/**
+ * Combines the responses of a chunked batch request keyed by id, e.g. the
+ * contacts of `contacts_vids_batch`, into a single object.
+ *
+ * @param {Array} responses Responses of every chunk
+ * @return {Object}
+ */
+exports.mergeObjects = function mergeObjects(responses) {
+  return _.assign.apply(_, [{}].concat(responses));
+};
+
+/**
+ * `prepare` of the endpoints taking an `object_type` path param, which the
+ * API only knows in upper case (`CONTACT`, `COMPANY`, `DEAL`). A missing one
+ * is left missing, so it is reported rather than sent as `UNDEFINED`.
+ *
+ * @param {Object} params Params of the call
+ */
+exports.upperCaseObjectType = function upperCaseObjectType(params) {
+  if (params.object_type !== undefined && params.object_type !== null) {
+    params.object_type = String(params.object_type).toUpperCase();
+  }
+};
+
+/**
+ * Default retry settings, overridden by the `retry` client option.
+ *
+ *  - retries             Number of retries after the first attempt
+ *  - minDelay            Delay before the first retry in ms
+ *  - maxDelay            Upper bound of the backoff delay in ms
+ *  - factor              Growth of the delay with every retry
+ *  - retryNonIdempotent  Also retry POST and PATCH requests
+ */
+exports.retryDefaults = {
+  retries: 0,
+  minDelay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+  retryNonIdempotent: false
+};
+
+var IDEMPOTENT_VERBS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+var RETRYABLE_STATUS_CODES = [429, 502, 503, 504];
+var RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+exports.isIdempotent = function (verb) {
+  return IDEMPOTENT_VERBS.indexOf(String(verb).toUpperCase()) !== -1;
+};
+
+/**
+ * Tells whether a failed request is worth retrying: the API is rate limiting
+ * or temporarily unavailable, or the connection itself failed. A used up
+ * daily limit only lifts at midnight, so it is not retried.
+ *
+ * @param {Error} error The error the request failed with
+ * @param {Object} res The response, if one was received
+ * @return {boolean}
+ */
+exports.isRetryable = function (error, res) {
+  if (error.policyName === 'DAILY') {
+    return false;
+  }
+
+  if (res && RETRYABLE_STATUS_CODES.indexOf(res.statusCode) !== -1) {
+    return true;
+  }
+
+  var cause = error.prevError || error;
+  return !res && RETRYABLE_ERROR_CODES.indexOf(cause.code) !== -1;
+};
+
+/**
+ * Computes how long to wait before the next attempt. A `Retry-After` header
+ * (in seconds or as an HTTP date) wins, otherwise the delay grows
+ * exponentially with the number of attempts and is jittered so concurrent
+ * clients don't retry in lockstep. Neither waits longer than `maxDelay`:
+ * when `Retry-After` asks for more, the request is not retried at all.
+ *
+ * @param {number} attempts Number of attempts made so far
+ * @param {Object} options Retry settings, see {@link retryDefaults}
+ * @param {string} retryAfter Value of the `Retry-After` response header
+ * @return {number|null} Delay in ms, null when the request must not be retried
+ */
+exports.retryDelay = function (attempts, options, retryAfter) {
+  if (retryAfter) {
+    var seconds = Number(retryAfter);
+    var delay = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+
+    if (!isNaN(delay)) {
+      return delay > options.maxDelay ? null : Math.max(delay, 0);
+    }
+  }
+
+  var backoff = Math.min(options.maxDelay, options.minDelay * Math.pow(options.factor, attempts - 1));
+  return backoff / 2 + Math.random() * backoff / 2;
+};
+
 exports.isAnError = function (statusCode) {
   return parseInt(statusCode / 100, 10) !== 2 ? true : false;
 };
 
 /**
- * Creates an Error with information received from hubspot. In addition to an
- * error message it also includes an error code.
+ * Creates an Error with information received from hubspot. Its class tells
+ * the kind of failure, see `errors.js`, and it carries the details HubSpot
+ * sent along with the request it answers.
  *
  * @param {string | Object} errorBody The response body.  Might be JSON, unparsed JSON, or just HTML string
  * @param {number} code The HTTP response error code
- * @return Instance of {@link Error}
+ * @param {Object} request {method, path, headers} of the request and response
+ * @return Instance of {@link errors.HubspotError}
  */
-exports.createHubspotError = function createHubspotError(errorBody, code) {
+exports.createHubspotError = function createHubspotError(errorBody, code, request) {
   var errorBodyJSON;
+  var rawBody = errorBody;
+
+  request = request || {};
 
   if (typeof errorBody === 'string') {
     try {
@@ -59,27 +268,21 @@ exports.createHubspotError = function createHubspotError(errorBody, code) {
         errorBody = htmlBody[0].replace(/(<([^>]+)>)/ig, ' ').replace(/\s\s+/g, ' ');
       }
     }
-  } else if (typeof errorBody === 'object') {
+  } else if (errorBody && typeof errorBody === 'object') {
     errorBodyJSON = errorBody;
   }
 
-  var requestId = errorBodyJSON && errorBodyJSON.requestId;
-  var message   = (errorBodyJSON && errorBodyJSON.message) || errorBody;
-  var status    = errorBodyJSON && errorBodyJSON.status;
-
-  var error = new Error(message ?
-                          ('Hubspot API error response: ' + message) :
-                          ('Unknown error from Hubspot, code ' + code) );
-
-  if (code) {
-    error.code = code;
-    error.statusCode = code;
-  }
-
-  if (requestId) {
-    error.requestId = requestId;
-    error.request_id = requestId;
-  }
+  var message = (errorBodyJSON && errorBodyJSON.message) || errorBody;
+  var HubspotError = errors.forResponse(code, errorBodyJSON);
 
-  return error;
+  return new HubspotError(message ?
+                            ('Hubspot API error response: ' + message) :
+                            ('Unknown error from Hubspot, code ' + code), {
+    method: request.method,
+    path: request.path,
+    headers: request.headers,
+    statusCode: code,
+    body: rawBody,
+    json: errorBodyJSON
+  });
 };
@@ -1,7 +1,15 @@
-var request = require('request');
-var zlib = require('zlib');
-var qs = require('querystring');
+var querystring = require('querystring');
 var helpers = require('./helpers');
+var errors = require('./errors');
+var Paginator = require('./paginator');
+var Sync = require('./sync');
+var Export = require('./export');
+var TokenManager = require('./oauth');
+var schema = require('./schema');
+var registry = require('./registry');
+var normalize = require('./normalize');
+var transport = require('./transport');
+var ResponseCache = require('./cache').ResponseCache;
 var _ = require('lodash');
 
 /**
@@ -17,8 +25,8 @@ function hubspotAPI(options) {
     throw new Error('You have to provide a authentication details for this to work.');
   }
 
-  if (!options.api_key && !options.access_token) {
-    throw new Error('API requires api_key or access_token');
+  if (!options.api_key && !options.access_token && !(options.client_id && options.client_secret)) {
+    throw new Error('API requires api_key, access_token or client_id and client_secret');
   }
 
   /**
@@ -31,20 +39,60 @@ function hubspotAPI(options) {
      */
 
     this.api_key = options.api_key;
+  } else if (options.client_id && options.client_secret) {
+
+    /**
+     * OAuth mode: tokens are refreshed and persisted by the token manager.
+     */
+
+    this.oauth = new TokenManager(this, options);
   } else {
 
     this.access_token = options.access_token;
   }
 
 
-  this.httpUri = 'https://api.hubapi.com';
+  this.httpUri = options.baseUrl || 'https://api.hubapi.com';
+  this.formsUri = 'https://api.hsforms.com';
   this.DEBUG = options.DEBUG || false;
   this.contentType = options.contentType || 'application/json';
+  this.app_id = options.app_id;
   this.userAgent = options.userAgent || 'node-hubspot';
+  this.retry = _.defaults({}, options.retry, helpers.retryDefaults);
+  this.logger = options.logger || (this.DEBUG ? helpers.consoleLogger : null);
+  this.interceptors = [].concat(options.interceptors || []);
+  this.normalize = !!options.normalize;
+  this.knownProperties = {};
+  this.transport = options.transport || new transport.HttpTransport(options);
+  this.timeout = options.timeout || 0;
+  this.proxy = options.proxy;
+  this.signal = options.signal;
+  this.cache = options.cache ? new ResponseCache(options.cache === true ? {} : options.cache) : null;
 }
 
 module.exports = hubspotAPI;
 
+/**
+ * Adds an interceptor, an object with any of the hooks
+ *
+ *  - onRequest(request)            Called before every attempt with
+ *                                  {method, path, headers, query, body, attempt},
+ *                                  whose headers, query and body it may change
+ *  - onResponse(response, request) Called with {statusCode, headers, body, duration}
+ *                                  of a successful request. The body may be replaced.
+ *  - onError(error, request)       Called with the error a request finally failed with
+ *
+ * Interceptors run in the order they were added. Credentials are added to
+ * the request after `onRequest`, so they are never part of `request.query`.
+ *
+ * @param interceptor {onRequest, onResponse, onError}
+ * @return The client, for chaining
+ */
+hubspotAPI.prototype.use = function (interceptor) {
+  this.interceptors.push(interceptor);
+  return this;
+};
+
 /**
  * Sends a given request as a JSON object to the hubspot API and finally
  * calls the given callback function with the resulting JSON object. This
@@ -55,25 +103,35 @@ module.exports = hubspotAPI;
  * @param method hubspot API method to call
  * @param availableParams Parameters available for the specified API method
  * @param givenParams Parameters to call the hubspot API with
- * @param callback Callback function to call on success
+ * @param callback Callback function to call on success. When omitted a
+ *                 Promise is returned instead.
+ * @return Promise resolving to the parsed response when no callback is given
  */
 hubspotAPI.prototype.execute = function (verbParams, path, availableParams, givenParams, callback) {
   var self = this;
-  var body;
   var currentParam;
-  var parsedResponse;
-  var requestOptions;
+  var promise;
+
+  if (typeof callback !== 'function') {
+    promise = new Promise(function (resolve, reject) {
+      callback = helpers.settle(resolve, reject);
+    });
+  }
+
+  givenParams = givenParams || {};
 
   var verb = verbParams && verbParams.verb || verbParams;
   var headers = {
     "Content-Type": this.contentType,
-    "User-Agent": this.userAgent,
-    "Accept-Encoding": "gzip, deflate"
+    "User-Agent": this.userAgent
   };
 
-  var uri = this.httpUri + '/' + path;
+  var uri = (verbParams.baseUri || this.httpUri) + '/' + path;
 
   var finalParams = {};
+  var queryParams;
+  var bodyParams;
+  var encoding;
 
   for (var i = 0; i < availableParams.length; i++) {
     currentParam = availableParams[i];
@@ -81,546 +139,771 @@ hubspotAPI.prototype.execute = function (verbParams, path, availableParams, give
       finalParams[currentParam] = givenParams[currentParam];
   }
 
+  // some endpoints use array-like parameters that must be stringified.
+  // The API expects param=a&param=b&param=c rather than
+  // param[0]=a&param[1]=b&param[2]=c, see helpers.queryString.
+
+  if (verb === "POST" || verbParams.json) {
+      // The (undocumented) refresh and event_completion endpoints need the object sent form encoded
+      // Single-contact-update endpoint, and possibly others, only work with a JSON body
+      // Batch endpoints take an array as the body, passed in the param named by `body`
+      // Params listed in `query` go into the query string instead of the body
+      queryParams = _.pick(finalParams, verbParams.query || []);
+      bodyParams = verbParams.body ? givenParams[verbParams.body] : _.omit(finalParams, verbParams.query || []);
+      encoding = verbParams.json ? 'json' : 'form';
+
+      if (encoding === 'form') {
+        headers["Content-Type"] = "application/x-www-form-urlencoded";
+      }
+  } else {
+    queryParams = finalParams;
+  }
+
+  var attempts = 0;
+  var replayed = false;
+  var accessToken;
+  var startedAt;
+  var retryable = self.retry.retryNonIdempotent || helpers.isIdempotent(verb);
+  var timeout = verbParams.timeout !== undefined ? verbParams.timeout : self.timeout;
+  var proxy = verbParams.proxy !== undefined ? verbParams.proxy : self.proxy;
+  var signals = transport.linkSignals([verbParams.signal, self.signal]);
+  var retryTimer;
+  var context = {
+    method: verb,
+    path: path,
+    headers: headers,
+    query: queryParams,
+    body: bodyParams
+  };
+
+  // Aborting while waiting for a retry ends the wait
+  function onAbort() {
+    if (retryTimer) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      fail(networkError(transport.abortError()));
+    }
+  }
+
+  if (signals.signal) {
+    signals.signal.addEventListener('abort', onAbort);
+  }
+
+  function done(error, result) {
+    if (signals.signal) {
+      signals.signal.removeEventListener('abort', onAbort);
+    }
+
+    signals.release();
+    callback(error, result);
+  }
+
   /**
-   * For OAuth: &access_token=TOKEN
-   * For API Keys: &hapikey=KEY
-   * @see http://developers.hubspot.com/auth/oauth_overview
+   * Replays requests rejected because of an expired OAuth token and retries
+   * rate limited, unavailable and failed requests with an exponential backoff
+   * until the configured number of retries is used up.
    */
-  if (this.api_key) {
-    authParams.hapikey = this.api_key;
+  function complete(error, res, result) {
+    var entry = logEntry(context, res, startedAt);
+
+    // An expired OAuth token is refreshed and the request replayed once
+    if (error && res && res.statusCode === 401 && self.oauth && accessToken && !replayed) {
+      replayed = true;
+      self.oauth.expire(accessToken);
+      log(self, 'info', 'hubspot request replayed with a refreshed token', entry);
+      return send();
+    }
+
+    var delay = error && retryable && attempts <= self.retry.retries && helpers.isRetryable(error, res) ?
+      helpers.retryDelay(attempts, self.retry, res && res.headers['retry-after']) : null;
+
+    if (delay !== null) {
+      log(self, 'warn', 'hubspot request retried', _.assign(entry, { error: error.message, delay: Math.round(delay) }));
+      retryTimer = setTimeout(send, delay);
+      return;
+    }
+
+    if (error) {
+      return fail(error, entry);
+    }
+
+    var response = {
+      statusCode: res.statusCode,
+      headers: res.headers,
+      body: result,
+      duration: entry.duration
+    };
+
+    try {
+      intercept(self, 'onResponse', response, context);
+    } catch (e) {
+      return fail(e, entry);
+    }
+
+    log(self, 'debug', 'hubspot response', entry);
+    done(null, response.body);
   }
 
-  if (this.access_token) {
-    authParams.access_token = this.access_token;
+  function fail(error, entry) {
+    error.attempts = attempts;
+
+    log(self, 'error', 'hubspot request failed', _.assign(entry || logEntry(context), {
+      status: entry && entry.status || error.statusCode,
+      requestId: entry && entry.requestId || error.requestId,
+      error: error.message
+    }));
+
+    try {
+      intercept(self, 'onError', error, context);
+    } catch (e) {
+      error = e;
+    }
+
+    done(error);
   }
 
-  requestOptions = {
-    method: verb,
-    headers: headers,
-    encoding: null
-  };
+  function send() {
+    retryTimer = null;
+    attempts++;
 
-  // some endpoints use array-like parameters that must be stringified.
-  // also must user querystring instead of qs.
-  // qs output is param[0]=a&param[1]=b&param[2]=c
-  // querystring output is param=a&param=b&param=c and this is required.
-
-  if (verb === "POST") {
-      var properties = [];
-      for (var key in finalParams) {
-          properties.push({
-              property: key,
-              value: finalParams[key]
-          });
+    if (signals.signal && signals.signal.aborted) {
+      return fail(networkError(transport.abortError()));
+    }
+
+    self.authenticate(verbParams, function (error, authParams) {
+      if (error) {
+        return fail(error);
       }
 
-      // The (undocumented) refresh and event_completion endpoints need the object stored the `form` request param
-      // Single-contact-update endpoint, and possibly others, only work with the `json` request param
-      requestOptions[verbParams.json ? 'json' : 'form'] = finalParams;
+      context.attempt = attempts;
 
-      uri = uri + "?" + qs.stringify(authParams);
-  } else {
-    var allParams = _.merge(authParams, finalParams);
+      try {
+        intercept(self, 'onRequest', context);
+      } catch (e) {
+        return fail(e);
+      }
 
+      accessToken = authParams.access_token;
+
+      log(self, 'debug', 'hubspot request', logEntry(context));
+
+      startedAt = Date.now();
+      self.transport.request({
+        method: verb,
+        url: uri + helpers.queryString(_.assign({}, authParams, context.query)),
+        headers: context.headers,
+        body: serialize(encoding, context.body),
+        timeout: timeout,
+        proxy: proxy,
+        signal: signals.signal
+      }, handleResponse);
+    });
   }
 
-  requestOptions.uri = uri;
+  function networkError(error) {
+    var message = error.code === 'ABORT_ERR' ? 'The hubspot API request was aborted.' :
+      error.code === 'ETIMEDOUT' && timeout ? 'The hubspot API request timed out after ' + timeout + 'ms. Check prevError.' :
+      'Unable to connect to the hubspot API endpoint. Check prevError.';
 
-  if (self.DEBUG) {
-    console.log("req", requestOptions);
+    return new errors.HubspotNetworkError(message, {
+      method: verb,
+      path: path,
+      cause: error
+    });
   }
 
-  request(requestOptions, function (error, res, body) {
-    if (self.DEBUG) {
-      console.log("error", error);
-      console.log("res statusCode", res.statusCode);
-      console.log("body", body);
+  function handleResponse(error, res) {
+    var e;
+    if (error && !res) {
+      return complete(networkError(error));
     }
 
-    var e;
+    var details = {
+      method: verb,
+      path: path,
+      headers: res.headers
+    };
+
+    function processed(error, result) {
+      complete(error, res, result);
+    }
+
+    // The transport could not decode the body
     if (error) {
-      e = new Error('Unable to connect to the hubspot API endpoint. Check prevError.');
+      e = new errors.HubspotError('Unable decompress Hubspot API response\'s body. Check prevError.', {
+        method: verb,
+        path: path,
+        statusCode: res.statusCode,
+        body: res.body
+      });
       e.prevError = error;
-      return callback(e);
+      return complete(e, res);
     }
 
-    var encoding = res.headers['content-encoding'];
-    if (encoding && encoding.indexOf('gzip') >= 0) {
-      return zlib.gunzip(body, function(err, dezipped) {
-        if (err) {
-          e = new Error('Unable decompress Hubspot API response\'s body. Check prevError.');
-          e.prevError = err;
-          return callback(e);
-        }
+    processResponseBody(res.statusCode, res.body, details, processed);
+  }
 
-        return processResponseBody(res.statusCode, dezipped.toString('utf-8'), callback);
-      });
-    }
+  send();
 
-    processResponseBody(res.statusCode, body, callback);
+  return promise;
+};
+
+function serialize(encoding, body) {
+  if (body === undefined) {
+    return undefined;
+  }
+
+  return encoding === 'json' ? JSON.stringify(body) : querystring.stringify(body);
+}
+
+function intercept(api, hook, value, context) {
+  api.interceptors.forEach(function (interceptor) {
+    if (interceptor[hook]) {
+      interceptor[hook](value, context);
+    }
   });
+}
+
+/**
+ * Structured log entry of a request, free of credentials.
+ */
+function logEntry(context, res, startedAt) {
+  var entry = {
+    method: context.method,
+    path: context.path,
+    query: helpers.redact(context.query),
+    attempt: context.attempt
+  };
+
+  if (res) {
+    entry.status = res.statusCode;
+    entry.requestId = res.headers['x-hubspot-correlation-id'] || res.headers['x-request-id'];
+  }
+
+  if (startedAt) {
+    entry.duration = Date.now() - startedAt;
+  }
+
+  return entry;
+}
+
+/**
+ * Hands an entry to the configured logger, pino/bunyan style:
+ * `logger[level](entry, message)`. Strings are redacted once more in case an
+ * error message echoes a credential.
+ */
+function log(api, level, message, entry) {
+  if (!api.logger || typeof api.logger[level] !== 'function') {
+    return;
+  }
+
+  api.logger[level](helpers.redact(entry), message);
+}
+
+/**
+ * Calls back with the authentication params of a request.
+ *
+ * For OAuth: &access_token=TOKEN
+ * For API Keys: &hapikey=KEY
+ * @see http://developers.hubspot.com/auth/oauth_overview
+ *
+ * @param verbParams Verb or verb options of the request. `auth: false` skips authentication.
+ * @param callback Called with the params to add to the query string
+ */
+hubspotAPI.prototype.authenticate = function (verbParams, callback) {
+  if (verbParams && verbParams.auth === false) {
+    return callback(null, {});
+  }
+
+  if (this.api_key) {
+    return callback(null, { hapikey: this.api_key });
+  }
 
+  if (this.oauth) {
+    return this.oauth.getAccessToken(function (error, accessToken) {
+      callback(error, { access_token: accessToken });
+    });
+  }
+
+  callback(null, { access_token: this.access_token });
 };
 
-function processResponseBody(statusCode, body, callback) {
+function processResponseBody(statusCode, body, details, callback) {
+  if (Buffer.isBuffer(body)) {
+    body = body.toString('utf-8');
+  }
+
   if (helpers.isAnError(statusCode)) {
-    return callback(helpers.createHubspotError(body, statusCode));
+    return callback(helpers.createHubspotError(body, statusCode, details));
   }
 
   var parsedResponse = {};
   try {
-    parsedResponse = JSON.parse(body);
+    // Custom transports may hand over a parsed body
+    parsedResponse = body && typeof body === 'object' ? body : JSON.parse(body);
   } catch (error) {
 
     // Only throw an error if status is NOT a 204 because then there's no body to parse
     if (statusCode !== 204)
-      return callback(new Error('Error parsing JSON answer from hubspot API.'));
+      return callback(new errors.HubspotError('Error parsing JSON answer from hubspot API.', {
+        method: details.method,
+        path: details.path,
+        statusCode: statusCode,
+        body: body
+      }));
   }
 
   if (parsedResponse.status === "error" || helpers.isAnError(statusCode)) {
-    return callback(helpers.createHubspotError(parsedResponse, statusCode));
+    return callback(helpers.createHubspotError(parsedResponse, statusCode, details));
   }
 
   return callback(null, parsedResponse);
 }
 
 hubspotAPI.prototype.get = function (path, availableParams, givenParams, callback) {
-  this.execute("GET", path, availableParams, givenParams, callback);
+  return this.execute("GET", path, availableParams, givenParams, callback);
 };
 
 hubspotAPI.prototype.post = function (path, availableParams, givenParams, callback) {
-  this.execute("POST", path, availableParams, givenParams, callback);
+  return this.execute("POST", path, availableParams, givenParams, callback);
 };
 
 hubspotAPI.prototype.postJson = function (path, availableParams, givenParams, callback) {
-  this.execute({verb: "POST", json: true}, path, availableParams, givenParams, callback);
+  return this.execute({verb: "POST", json: true}, path, availableParams, givenParams, callback);
 };
 
 hubspotAPI.prototype.put = function (path, availableParams, givenParams, callback) {
-  this.execute("PUT", path, availableParams, givenParams, callback);
+  return this.execute("PUT", path, availableParams, givenParams, callback);
+};
+
+hubspotAPI.prototype.putJson = function (path, availableParams, givenParams, callback) {
+  return this.execute({verb: "PUT", json: true}, path, availableParams, givenParams, callback);
 };
 
 hubspotAPI.prototype.patch = function (path, availableParams, givenParams, callback) {
-  this.execute("PATCH", path, availableParams, givenParams, callback);
+  return this.execute("PATCH", path, availableParams, givenParams, callback);
 };
 
 hubspotAPI.prototype.delete = function (path, availableParams, givenParams, callback) {
-  this.execute("DELETE", path, availableParams, givenParams, callback);
+  return this.execute("DELETE", path, availableParams, givenParams, callback);
 };
 
-
-/*****************************************************************************/
-/************************* EVENT Methods *************************************/
-/*****************************************************************************/
-
-
-// un-published API endpoint.
-hubspotAPI.prototype.event_completions = function (params, callback) {
-  var path = "analytics/v2/event/completions/total",
-    availableParams = [
-      "offset"
-    ];
-
-  this.post(path, availableParams, params, callback);
+/**
+ * Iterates over every item of an offset-based endpoint, following the
+ * endpoint's own cursor fields from page to page.
+ *
+ * @param method Name of the paginated API method, e.g. `all_contacts`
+ * @param params Parameters of the first page request
+ * @param options `maxItems` and/or `maxPages` limits
+ * @return Readable object stream which is also an async iterator
+ */
+hubspotAPI.prototype.paginate = function (method, params, options) {
+  return new Paginator(this, method, params, options);
 };
 
+/**
+ * Incremental sync of the contacts, companies or deals changed since the
+ * last run, see {@link Sync}.
+ *
+ * @param type Object type, `contacts`, `companies` or `deals`
+ * @param options Sync options, e.g. the cursor `store`
+ * @return Instance of {@link Sync}, started with `run(onBatch, callback)`
+ */
+hubspotAPI.prototype.sync = function (type, options) {
+  return new Sync(this, type, options);
+};
 
-hubspotAPI.prototype.events = function (params, callback) {
-  var path = "reports/v1/events",
-    availableParams = [];
-
-  this.get(path, availableParams, params, callback);
+/**
+ * Streams every contact, company or deal as NDJSON or CSV, see {@link Export}.
+ *
+ * @param type Object type, `contacts`, `companies` or `deals`
+ * @param options Export options, e.g. `format` and `properties`
+ * @return Readable stream of the export
+ */
+hubspotAPI.prototype.export = function (type, options) {
+  return new Export(this, type, options);
 };
 
 
-/*****************************************************************************/
-/************************* SOURCES Methods ***********************************/
-/*****************************************************************************/
 
-// un-published API endpoint.
-hubspotAPI.prototype.sources_daily = function (params, callback) {
-  var path = "analytics/v2/sources/summary/daily",
-    availableParams = [];
+/**
+ * Calls an endpoint by the name of its definition in `versions/`. Every
+ * endpoint is also a method of its own, `api.invoke("deals_get", params)`
+ * being the same as `api.deals_get(params)`.
+ *
+ * The optional `options` of a call are the transport settings `timeout`,
+ * `proxy`, `baseUrl` and `signal`, overriding the ones of the client.
+ *
+ * @param name Name of the endpoint, e.g. `deals_get`
+ * @param params Params of the call
+ * @param options Optional transport settings of the call
+ * @param callback Callback function. When omitted a Promise is returned instead.
+ */
+hubspotAPI.prototype.invoke = function (name, params, options, callback) {
+  var self = this;
+  var definition = registry.definitions[name];
 
-  this.get(path, availableParams, params, callback);
-};
+  if (typeof params === 'function') {
+    callback = params;
+    params = {};
+    options = {};
+  }
 
-/*****************************************************************************/
-/************************* PAGES Methods *************************************/
-/*****************************************************************************/
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
 
+  options = _.pick(options || {}, transport.callOptions);
 
-/*****************************************************************************/
-/************************* CONTACTS Methods **********************************/
-/*****************************************************************************/
+  return helpers.promiseOrCallback(callback, function (done) {
+    if (!definition) {
+      return done(new Error('Unknown hubspot API endpoint ' + name));
+    }
 
-/**
-* http://developers.hubspot.com/docs/methods/contacts/get_batch_by_email
-* @param params
-* @param callback
-*/
-
-hubspotAPI.prototype.contacts_emails_batch = function(params, callback) {
-  var version = params.version ? params.version : "v1";
-  var path = "contacts/" + version + "/contact/emails/batch/",
-    availableParams = [
-      'email'
-    ];
-
-    this.get(path, availableParams, params, callback);
-};
+    params = _.assign({}, definition.defaults, params);
 
-/**
- * http://developers.hubspot.com/docs/methods/contacts/get_contacts
- * @param params
- * @param callback
- */
-hubspotAPI.prototype.contacts_statistics = function (params, callback) {
-  var path = "contacts/v1/contacts/statistics",
-    availableParams = [];
-  this.get(path, availableParams, params, callback);
-};
+    // Plain values are turned into the wire format before any `prepare`
+    if (self.normalize && definition.records) {
+      params = normalize.request(definition.records, params);
+    }
 
+    if (definition.prepare) {
+      definition.prepare(params, self);
+    }
 
-/**
- * http://developers.hubspot.com/docs/methods/contacts/get_contacts
- * contacts/v1/lists/all/contacts/all
- * @param params
- * @param callback
- */
+    var error = registry.checkRequired(name, definition, params) || checkVerb(name, definition, params);
+    if (error) {
+      return done(error);
+    }
 
+    var validate = definition.validate || function (api, params, callback) {
+      callback(null);
+    };
 
-hubspotAPI.prototype.all_contacts = function (params, callback) {
-  var path = "contacts/v1/lists/all/contacts/all";
-  var availableParams = [
-    "count",
-    "property",
-    "vidOffset"
-  ];
+    var write = requestVerb(definition, params) !== "GET";
+    var respond = done;
 
-  this.get(path, availableParams, params, callback);
-};
+    if (self.normalize && definition.records) {
+      respond = function (error, result) {
+        if (error) {
+          return done(error);
+        }
 
-/**
- * http://developers.hubspot.com/docs/methods/contacts/get_contact_by_email
- * contacts/v1/contact/email/:contacts_email/profile
- * @param params
- * @param callback
- */
+        self.propertyDefinitions(definition.records.type, function (error, definitions) {
+          if (error && !write) {
+            return done(error);
+          }
+
+          // A write that went through doesn't fail for want of definitions,
+          // its response just isn't coerced
+          if (error) {
+            log(self, "warn", "Unable to load the " + definition.records.type + " property definitions", {
+              error: error.message
+            });
+          }
+
+          done(null, normalize.response(definition.records, result, definitions || {}));
+        });
+      };
+    }
 
+    if (write && definition.invalidates) {
+      var received = respond;
 
-hubspotAPI.prototype.get_contact_by_email = function (params, callback) {
-  var email = params.email;
-  var path = "contacts/v1/contact/email/"+email+"/profile";
-  var availableParams = [
-    "count",
-    "property",
-    "vidOffset"
-  ];
+      respond = function (error, result) {
+        forgetPropertyDefinitions(self, definition.invalidates);
+        received(error, result);
+      };
+    }
 
-  this.get(path, availableParams, params, callback);
-};
+    function send(callback) {
+      if (definition.chunk) {
+        return inChunks(self, definition, params, options, callback);
+      }
 
-/**
- * contacts/v1/contact
- */
-hubspotAPI.prototype.contacts_contact = function (params, callback) {
-  var version = params.version ? params.version : "v1";
+      sendRequest(self, definition, params, options, callback);
+    }
 
-  var path = "contacts/" + version + "/contact",
+    validate(self, params, function (error) {
+      if (error) {
+        return done(error);
+      }
 
-    availableParams = [
-        "email", "firstname", "lastname"
-    ];
+      if (self.cache) {
+        return self.cache.call(name, definition, params, send, respond);
+      }
 
-  this.post(path, availableParams, params, callback);
+      send(respond);
+    });
+  });
 };
 
 /**
- * contacts/v1/lists
+ * Lists the endpoints and composite methods the client supports, see
+ * {@link registry.describe}.
+ *
+ * @param name Optional name of a single endpoint or method
+ * @return Array of endpoint summaries, or the summary of the named endpoint
  */
-hubspotAPI.prototype.contacts_lists = function (params, callback) {
-  var version = params.version ? params.version : "v1";
-
-  var path = "contacts/" + version + "/lists",
-    availableParams = [
-      "count",
-      "offset"
-    ];
-
-  this.get(path, availableParams, params, callback);
+hubspotAPI.prototype.describe = function (name) {
+  return registry.describe(name);
 };
 
 /**
- * contacts/v1/lists/static
+ * The property definitions of an object type, indexed by name, as used by
+ * the `normalize` option. They are kept as long as the responses of
+ * `<type>_properties` are cached (see its `cache` definition), and dropped
+ * by the calls changing properties.
+ *
+ * @param type Object type, `contacts`, `companies` or `deals`
+ * @param callback Called with the definitions
  */
-hubspotAPI.prototype.contacts_static_lists = function (params, callback) {
-  var version = params.version ? params.version : "v1";
-
-  var path = "contacts/" + version + "/lists/static",
-    availableParams = [
-      "count",
-      "offset"
-    ];
+hubspotAPI.prototype.propertyDefinitions = function (type, callback) {
+  var self = this;
 
-  this.get(path, availableParams, params, callback);
-};
+  return helpers.promiseOrCallback(callback, function (done) {
+    var known = self.knownProperties[type];
 
-/**
- * contacts/v1/lists/:list_id/add
- */
-hubspotAPI.prototype.contacts_lists_add = function (params, callback) {
-  var version = params.version ? params.version : "v1";
-  var list_id = params['list_id'];
-  var contact_id = params['contact_id'];
+    if (known && known.expiresAt > Date.now()) {
+      return done(null, known.definitions);
+    }
 
+    self[type + "_properties"]({}, function (error, properties) {
+      if (error) {
+        return done(error);
+      }
 
-  var path = "contacts/" + version + "/lists/" + list_id + "/add";
-    availableParams = [
-      "count",
-      "property",
-      "vidOffset"
-    ];
+      var cache = registry.definitions[type + "_properties"].cache;
 
-  this.post(path, availableParams, JSON.stringify({'vids':[contact_id]}), callback);
+      self.knownProperties[type] = {
+        definitions: _.indexBy(properties, "name"),
+        expiresAt: Date.now() + cache.ttl
+      };
+      done(null, self.knownProperties[type].definitions);
+    });
+  });
 };
 
+_.forEach(registry.definitions, function (definition, name) {
+  hubspotAPI.prototype[name] = function (params, options, callback) {
+    return this.invoke(name, params, options, callback);
+  };
+});
+
 /**
- * contacts/v1/contact/vid/:contact_id/profile
- * @param params
- * @param callback
+ * Drops the kept property definitions of the types whose `<type>_properties`
+ * a call invalidates.
  */
+function forgetPropertyDefinitions(api, invalidates) {
+  invalidates.forEach(function (name) {
+    var match = /^(.+)_properties$/.exec(name);
 
- hubspotAPI.prototype.contacts_create_update = function(params, callback) {
-  var version = params.version ? params.version : "v1";
-  var email = params.email;
-
-  var path = "contacts/" + version + "/contact/createOrUpdate/email/" + email,
-    availableParams = [
-      "properties"
-    ];
-
-  this.post(path, availableParams, params, callback);
- };
-
- hubspotAPI.prototype.contacts_properties_update = function(params, callback) {
-  var version = params.version ? params.version : "v1";
-  var path = "contacts/" + version + "/contact/vid/" + params.contact_id + "/profile",
-    availableParams = [
-      "properties"
-    ];
+    if (match) {
+      delete api.knownProperties[match[1]];
+    }
+  });
+}
 
-  this.post(path, availableParams, params, callback);
- };
+function requestVerb(definition, params) {
+  return definition.verbs && params.verb ? String(params.verb).toUpperCase() : definition.verb;
+}
 
+function checkVerb(name, definition, params) {
+  if (!definition.verbs || !params.verb) {
+    return null;
+  }
 
-/**
- * contacts/v1/properties
- * @param params
- * @param callback
- */
-hubspotAPI.prototype.contacts_properties = function (params, callback) {
-  var version = params.version ? params.version : "v1";
+  if (definition.verbs.indexOf(String(params.verb).toUpperCase()) === -1) {
+    return new Error(name + ' does not support the ' + params.verb + ' verb');
+  }
 
-  var path = "contacts/" + version + "/properties",
-    availableParams = [
-      "count",
-      "property",
-      "vidOffset"
-    ];
+  return null;
+}
 
-  this.get(path, availableParams, params, callback);
-};
+function sendRequest(api, definition, params, options, callback) {
+  var verb = requestVerb(definition, params);
+  var hasBody = ["POST", "PUT", "PATCH"].indexOf(verb) !== -1 && !!(definition.body || definition.rawBody);
+  var verbParams = {
+    verb: verb,
+    json: hasBody && definition.encoding !== "form",
+    query: definition.query,
+    body: definition.rawBody,
+    auth: definition.auth,
+    baseUri: options.baseUrl || definition.baseUri && api[definition.baseUri],
+    timeout: options.timeout,
+    proxy: options.proxy,
+    signal: options.signal
+  };
+  var availableParams = (definition.query || []).concat(definition.body || []);
 
+  return api.execute(verbParams, registry.buildPath(definition, params), availableParams, params, callback);
+}
 
 /**
- * contacts/v1/forms and contacts/v2/forms
- * @param params
- * @param callback
+ * Sends a request per chunk, one after another, for endpoints limiting how
+ * many items a single request may carry. The responses are combined with the
+ * definition's `merge` if it has one, otherwise the callback gets the list of
+ * responses.
  */
-hubspotAPI.prototype.contacts_forms = function (params, callback) {
-  var version = params.version ? params.version : "v1";
+function inChunks(api, definition, params, options, callback) {
+  var requests = registry.chunkParams(definition, params);
+  var results = [];
 
-  var path = "contacts/" + version + "/forms",
-    availableParams = [
-      "count",
-      "property",
-      "vidOffset"
-    ];
+  (function next(i) {
+    if (i >= requests.length) {
+      return callback(null, definition.merge ? definition.merge(results) : results);
+    }
 
-  this.get(path, availableParams, params, callback);
-};
+    sendRequest(api, definition, requests[i], options, function (error, result) {
+      if (error) {
+        return callback(error);
+      }
+
+      results.push(result);
+      next(i + 1);
+    });
+  })(0);
+}
 
 /*****************************************************************************/
-/************************* WORKFLOWS Methods *************************************/
+/************************* AUTH Methods **********************************/
 /*****************************************************************************/
+
 /**
- * automation/v2/workflows
- * @param params
- * @param callback
+ * OAuth mode only: the URL to send users to for authorizing the app.
+ * @param params scope, redirect_uri, optional_scope, state
  */
-hubspotAPI.prototype.automation_workflows = function (params, callback) {
-  var path = "automation/v2/workflows",
-    availableParams = [
-      "count",
-      "property",
-      "vidOffset"
-    ];
-
-  this.get(path, availableParams, params, callback);
+hubspotAPI.prototype.authorizeUrl = function (params) {
+  return this.oauth.authorizeUrl(params);
 };
 
-/*****************************************************************************/
-/************************* LEADS Methods *************************************/
-/*****************************************************************************/
-
 /**
- * leads/v2/forms
- * @param params
+ * OAuth mode only: exchanges the code received on the redirect URI for the
+ * initial tokens, which are used from then on.
+ * @param params code, redirect_uri
  * @param callback
  */
-hubspotAPI.prototype.leads_forms = function (params, callback) {
-  var path = "leads/v2/forms",
-    availableParams = [
-      "count",
-      "property",
-      "vidOffset"
-    ];
-
-  this.get(path, availableParams, params, callback);
+hubspotAPI.prototype.exchangeCode = function (params, callback) {
+  return this.oauth.exchangeCode(params, callback);
 };
 
-
 /*****************************************************************************/
-/************************* PROPECTS Methods **********************************/
+/************************* DEALS Methods *************************************/
 /*****************************************************************************/
 
 /**
- * leads/v2/forms
+ * Resolves deal stage ids to their labels, e.g. `{ closedwon: 'Closed Won' }`,
+ * using the portal's pipelines.
  * @param params
- * @param callback
+ * @param callback Called with an object mapping stage ids to labels
  */
-hubspotAPI.prototype.prospects = function (params, callback) {
-  var path = "prospects/v1/timeline",
-    availableParams = [
-      "timeOffset",
-      "orgOffset"
-    ];
-
-  this.get(path, availableParams, params, callback);
-};
-
-
-/*****************************************************************************/
-/************************* SETTINGS Methods **********************************/
-/*****************************************************************************/
+hubspotAPI.prototype.deals_stage_labels = function (params, callback) {
+  var self = this;
 
-//http://developers.hubspot.com/docs/methods/settings/get_settings
-hubspotAPI.prototype.settings = function (params, callback) {
-  var verb = params.verb ? params.verb : "get";
+  return helpers.promiseOrCallback(callback, function (done) {
+    self.deals_pipelines(params, function (error, pipelines) {
+      if (error) {
+        return done(error);
+      }
 
-  var path = "settings/v1/settings",
-    availableParams = [
-      "sm",
-      "name",
-      "value",
-      "domains",
-      "readOnly"
-    ];
+      var labels = {};
+      (pipelines || []).forEach(function (pipeline) {
+        (pipeline.stages || []).forEach(function (stage) {
+          labels[stage.stageId] = stage.label;
+        });
+      });
 
-  this[verb](path, availableParams, params, callback);
+      done(null, labels);
+    });
+  });
 };
 
+registry.composites.deals_stage_labels = { resource: "deals", calls: ["deals_pipelines"] };
 
 /*****************************************************************************/
-/************************* EMAIL Methods **********************************/
+/************************* PROPERTIES Methods ********************************/
 /*****************************************************************************/
 
-//These are un-documented - use at your own risk.
-hubspotAPI.prototype.cosemail = function (params, callback) {
-  var path = "cosemail/v1/emaildashboard";
-  var availableParams = [
-    "limit",
-    "offset",
-    "property",
-  ];
-
-  this.get(path, availableParams, params, callback);
-};
+_.forEach(["contacts", "companies", "deals"], function (objectType) {
 
-/*****************************************************************************/
-/************************* AUTH Methods **********************************/
-/*****************************************************************************/
-
-//These are un-documented - use at your own risk.
-hubspotAPI.prototype.refresh = function (params, callback) {
-  var path = "auth/v1/refresh";
-  var availableParams = [
-    "refresh_token",
-    "client_id",
-    "grant_type",
-  ];
-
-  if (!params) {
-    params = {};
-  }
-  params.grant_type = "refresh_token";
-
-  this.post(path, availableParams, params, callback);
-};
+  registry.composites[objectType + "_ensure_schema"] = {
+    resource: "properties",
+    calls: ["property_groups", "properties", "property_group_create", "property_group_update",
+      "property_group_delete", "property_create", "property_update", "property_delete"].map(function (method) {
+      return objectType + "_" + method;
+    }),
+    params: ["groups", "properties", "prune", "dryRun"]
+  };
 
-/*****************************************************************************/
-/************************* OWNERS Methods ************************************/
-/*****************************************************************************/
+  /**
+   * Brings the property groups and properties in line with the declared ones,
+   * see {@link schema.plan}.
+   *
+   * @param params groups: [{name, displayName}], properties: [{name, label, groupName, ...}],
+   *               prune: also delete undeclared custom properties of the declared groups,
+   *               dryRun: only return the planned changes
+   * @param callback Called with the list of changes
+   */
+  hubspotAPI.prototype[objectType + "_ensure_schema"] = function (params, callback) {
+    var self = this;
 
-hubspotAPI.prototype.owners = function (params, callback) {
-  var path = "owners/v2/owners";
-  var availableParams = [
-      "includeInactive"
-    ];
+    if (typeof params === 'function') {
+      callback = params;
+      params = {};
+    }
 
-  this.get(path, availableParams, params, callback);
-};
+    params = params || {};
 
-/*****************************************************************************/
-/************************* DEALS Methods *************************************/
-/*****************************************************************************/
+    return helpers.promiseOrCallback(callback, function (done) {
+      self[objectType + "_property_groups"]({}, function (error, groups) {
+        if (error) {
+          return done(error);
+        }
 
-hubspotAPI.prototype.deals_recent_created = function (params, callback) {
-  var path = "deals/v1/deal/recent/created";
-  var availableParams = [
-      "count",
-      "offset"
-    ];
+        self[objectType + "_properties"]({}, function (error, properties) {
+          if (error) {
+            return done(error);
+          }
 
-  this.get(path, availableParams, params, callback);
-};
+          var changes;
 
-hubspotAPI.prototype.deals_properties = function (params, callback) {
-  var path = "deals/v1/properties";
-  var availableParams = [];
+          // Thrown here, an error would escape the response handler instead of failing the call
+          try {
+            changes = schema.plan({ groups: groups, properties: properties }, params, { prune: params.prune });
+          } catch (e) {
+            return done(e);
+          }
 
-  this.get(path, availableParams, params, callback);
-};
+          if (params.dryRun) {
+            return done(null, changes);
+          }
 
-/*****************************************************************************/
-/************************* COMPANIES Methods *********************************/
-/*****************************************************************************/
+          applySchemaChanges(self, objectType, changes, function (error, changes) {
+            delete self.knownProperties[objectType];
+            done(error, changes);
+          });
+        });
+      });
+    });
+  };
+});
 
-hubspotAPI.prototype.companies_recent_created = function (params, callback) {
-  var path = "companies/v2/companies/recent/created";
-  var availableParams = [
-      "count",
-      "offset"
-    ];
+function applySchemaChanges(api, objectType, changes, callback) {
+  (function next(i) {
+    if (i >= changes.length) {
+      return callback(null, changes);
+    }
 
-  this.get(path, availableParams, params, callback);
-};
+    var change = changes[i];
+    var method = objectType + (change.kind === "group" ? "_property_group_" : "_property_") + change.action;
 
-hubspotAPI.prototype.companies_properties = function (params, callback) {
-  // v2 is the recommended URI in their docs. This would help with a shared vers
-  var path = "companies/v1/properties";
-  var availableParams = [];
+    api[method](change.params, function (error) {
+      if (error) {
+        return callback(error);
+      }
 
-  this.get(path, availableParams, params, callback);
-};
+      next(i + 1);
+    });
+  })(0);
+}
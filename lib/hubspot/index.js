@@ -1,4 +1,7 @@
 var client = require('./hubspot');
+var errors = require('./errors');
+var cursors = require('./cursors');
+var cache = require('./cache');
 
 /**
  * Returns a hubspot API wrapper object of the specified version.
@@ -21,3 +24,25 @@ function hubspotAPI (options) {
 }
 
 module.exports = hubspotAPI;
+module.exports.Webhooks = require('./webhooks');
+module.exports.engagements = require('./engagements');
+
+// Loaded on first use only, production code has no need for the test servers
+Object.defineProperty(module.exports, 'testing', {
+  enumerable: true,
+  get: function () {
+    return require('./testing');
+  }
+});
+
+module.exports.MemoryCursorStore = cursors.MemoryCursorStore;
+module.exports.FileCursorStore = cursors.FileCursorStore;
+module.exports.MemoryCacheStore = cache.MemoryCacheStore;
+module.exports.ClientPool = require('./pool');
+module.exports.HubspotError = errors.HubspotError;
+module.exports.HubspotAuthError = errors.HubspotAuthError;
+module.exports.HubspotRateLimitError = errors.HubspotRateLimitError;
+module.exports.HubspotValidationError = errors.HubspotValidationError;
+module.exports.HubspotNotFoundError = errors.HubspotNotFoundError;
+module.exports.HubspotServerError = errors.HubspotServerError;
+module.exports.HubspotNetworkError = errors.HubspotNetworkError;
@@ -0,0 +1,155 @@
+var _ = require('lodash');
+
+/**
+ * Converts CRM records between HubSpot's wire format and plain objects, for
+ * the `normalize` client option.
+ *
+ * Records are read with their properties as
+ * `properties: {name: {value, versions, source, ...}}` and written as
+ * `[{property, value}]` (contacts) or `[{name, value}]` (companies, deals).
+ * Normalized records have `properties: {name: value}` instead, the values
+ * coerced by the type of their property definition:
+ *
+ *  - number                    Number
+ *  - bool                      true/false
+ *  - date, datetime            Date (HubSpot sends ms since epoch)
+ *  - enumeration (checkbox)    Array of the selected options
+ *
+ * Properties without a definition keep their string value.
+ */
+
+/**
+ * Flattens and coerces the properties of the records in a response.
+ *
+ * @param records The `records` field of the endpoint definition
+ * @param result The parsed response
+ * @param definitions Property definitions of the object type, indexed by name
+ * @return The normalized response
+ */
+exports.response = function response(records, result, definitions) {
+  if (!result || typeof result !== 'object') {
+    return result;
+  }
+
+  if (records.items) {
+    var normalized = _.clone(result);
+    normalized[records.items] = (result[records.items] || []).map(function (record) {
+      return exports.record(record, definitions);
+    });
+    return normalized;
+  }
+
+  if (records.byId) {
+    return _.mapValues(result, function (record) {
+      return exports.record(record, definitions);
+    });
+  }
+
+  return exports.record(result, definitions);
+};
+
+/**
+ * @param record Record as sent by the API
+ * @param definitions Property definitions, indexed by name
+ * @return Copy of the record with `properties: {name: value}`
+ */
+exports.record = function record(record, definitions) {
+  if (!record || !record.properties || Array.isArray(record.properties)) {
+    return record;
+  }
+
+  var normalized = _.clone(record);
+  normalized.properties = _.mapValues(record.properties, function (property, name) {
+    var value = property && typeof property === 'object' && !Array.isArray(property) ? property.value : property;
+    return exports.coerce(value, definitions[name]);
+  });
+
+  return normalized;
+};
+
+/**
+ * @param {string} value Property value as sent by the API
+ * @param definition Property definition {type, fieldType}
+ * @return The value in the type of its property
+ */
+exports.coerce = function coerce(value, definition) {
+  if (value === undefined || value === null || value === '' || !definition || typeof value !== 'string') {
+    return value;
+  }
+
+  switch (definition.type) {
+  case 'number':
+    return isNaN(Number(value)) ? value : Number(value);
+  case 'bool':
+  case 'boolean':
+    return value === 'true';
+  case 'date':
+  case 'datetime':
+    return isNaN(Number(value)) ? new Date(value) : new Date(Number(value));
+  case 'enumeration':
+    return definition.fieldType === 'checkbox' ? value.split(';') : value;
+  default:
+    return value;
+  }
+};
+
+/**
+ * Serializes the properties of the records a request writes.
+ *
+ * @param records The `records` field of the endpoint definition
+ * @param params Params of the call
+ * @return Copy of the params with the properties in wire format
+ */
+exports.request = function request(records, params) {
+  var normalized = _.clone(params);
+
+  if (records.write && params[records.write]) {
+    normalized[records.write] = exports.properties(records.type, params[records.write]);
+  }
+
+  if (records.writeItems && Array.isArray(params[records.writeItems])) {
+    normalized[records.writeItems] = params[records.writeItems].map(function (record) {
+      if (!record || !record.properties) {
+        return record;
+      }
+
+      return _.assign({}, record, { properties: exports.properties(records.type, record.properties) });
+    });
+  }
+
+  return normalized;
+};
+
+/**
+ * @param {string} type Object type, `contacts`, `companies` or `deals`
+ * @param values Plain object of the values to write, or a list already in wire format
+ * @return List of `{property, value}` (contacts) or `{name, value}` (companies, deals)
+ */
+exports.properties = function properties(type, values) {
+  var key = type === 'contacts' ? 'property' : 'name';
+
+  if (Array.isArray(values)) {
+    return values.map(function (property) {
+      return _.assign({}, property, { value: toWire(property.value) });
+    });
+  }
+
+  return _.map(values, function (value, name) {
+    var property = {};
+    property[key] = name;
+    property.value = toWire(value);
+    return property;
+  });
+};
+
+function toWire(value) {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+
+  if (Array.isArray(value)) {
+    return value.join(';');
+  }
+
+  return value;
+}
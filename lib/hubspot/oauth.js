@@ -0,0 +1,225 @@
+var qs = require('querystring');
+var helpers = require('./helpers');
+
+var AUTHORIZE_URI = 'https://app.hubspot.com/oauth/authorize';
+var TOKEN_PATH = 'oauth/v1/token';
+
+/**
+ * Keeps the OAuth tokens of a {@link hubspotAPI} instance fresh. The access
+ * token is refreshed shortly before it expires or after the API rejected it,
+ * and every new set of tokens is handed to the token store, if one is given.
+ *
+ * Required options are:
+ *  - client_id, client_secret   Credentials of the HubSpot app
+ * Available options are:
+ *  - refresh_token   Refresh token of the authorized portal
+ *  - access_token    Current access token
+ *  - expires_at      Expiry of the access token (ms since epoch)
+ *  - redirect_uri    Redirect URI registered with the app
+ *  - refreshMargin   Refresh this many ms before the token expires. Defaults to 5 minutes.
+ *  - tokenStore      Object with `load(callback)` and `save(tokens, callback)`
+ *                    functions persisting `{access_token, refresh_token, expires_at}`
+ *
+ * @param api Instance of {@link hubspotAPI}
+ * @param options OAuth options
+ */
+function TokenManager(api, options) {
+  this.api = api;
+  this.clientId = options.client_id;
+  this.clientSecret = options.client_secret;
+  this.redirectUri = options.redirect_uri;
+  this.refreshMargin = options.refreshMargin !== undefined ? options.refreshMargin : 5 * 60 * 1000;
+  this.store = options.tokenStore;
+  this.loaded = !this.store;
+  this.waiting = {};
+
+  this.tokens = {
+    access_token: options.access_token,
+    refresh_token: options.refresh_token,
+    expires_at: options.expires_at
+  };
+}
+
+module.exports = TokenManager;
+
+/**
+ * Builds the URL users are sent to for granting the app access to a portal.
+ *
+ * @param params `scope` (array or space separated string), `redirect_uri`,
+ *               and optionally `optional_scope` and `state`
+ * @return {string}
+ */
+TokenManager.prototype.authorizeUrl = function (params) {
+  params = params || {};
+
+  var query = {
+    client_id: this.clientId,
+    redirect_uri: params.redirect_uri || this.redirectUri,
+    scope: [].concat(params.scope || []).join(' ')
+  };
+
+  if (params.optional_scope) {
+    query.optional_scope = [].concat(params.optional_scope).join(' ');
+  }
+
+  if (params.state) {
+    query.state = params.state;
+  }
+
+  return AUTHORIZE_URI + '?' + qs.stringify(query);
+};
+
+/**
+ * Exchanges the code received on the redirect URI for a set of tokens.
+ *
+ * @param params `code` and optionally `redirect_uri`
+ * @param callback Called with the new tokens
+ */
+TokenManager.prototype.exchangeCode = function (params, callback) {
+  var self = this;
+
+  return helpers.promiseOrCallback(callback, function (done) {
+    self.requestTokens({
+      grant_type: 'authorization_code',
+      redirect_uri: params.redirect_uri || self.redirectUri,
+      code: params.code
+    }, done);
+  });
+};
+
+/**
+ * Calls back with a valid access token, refreshing it first if it is about
+ * to expire.
+ *
+ * @param callback Called with the access token
+ */
+TokenManager.prototype.getAccessToken = function (callback) {
+  var self = this;
+
+  if (!this.loaded) {
+    return this.load(function (error) {
+      if (error) {
+        return callback(error);
+      }
+
+      self.getAccessToken(callback);
+    });
+  }
+
+  if (this.tokens.access_token && !this.isExpiring()) {
+    return callback(null, this.tokens.access_token);
+  }
+
+  this.refresh(function (error, tokens) {
+    callback(error, tokens && tokens.access_token);
+  });
+};
+
+/**
+ * Marks the given access token as expired so the next request refreshes it.
+ * Tokens replaced in the meantime are left alone, so concurrent requests
+ * failing with the same token only cause a single refresh.
+ *
+ * @param {string} accessToken The access token the API rejected
+ */
+TokenManager.prototype.expire = function (accessToken) {
+  if (this.tokens.access_token === accessToken) {
+    this.tokens.access_token = null;
+  }
+};
+
+TokenManager.prototype.isExpiring = function () {
+  return !!this.tokens.expires_at && Date.now() + this.refreshMargin >= this.tokens.expires_at;
+};
+
+/**
+ * Refreshes the access token. Concurrent calls share a single request.
+ *
+ * @param callback Called with the new tokens
+ */
+TokenManager.prototype.refresh = function (callback) {
+  var self = this;
+
+  if (!this.tokens.refresh_token) {
+    return callback(new Error('No OAuth refresh_token available. Exchange an authorization code first.'));
+  }
+
+  this.coalesce('refresh', function (done) {
+    self.requestTokens({
+      grant_type: 'refresh_token',
+      redirect_uri: self.redirectUri,
+      refresh_token: self.tokens.refresh_token
+    }, done);
+  }, callback);
+};
+
+TokenManager.prototype.load = function (callback) {
+  var self = this;
+
+  this.coalesce('load', function (done) {
+    self.store.load(function (error, tokens) {
+      if (error) {
+        return done(error);
+      }
+
+      if (tokens) {
+        self.tokens = tokens;
+      }
+
+      self.loaded = true;
+      done(null, self.tokens);
+    });
+  }, callback);
+};
+
+TokenManager.prototype.requestTokens = function (params, callback) {
+  var self = this;
+  var availableParams = ['grant_type', 'client_id', 'client_secret', 'redirect_uri', 'refresh_token', 'code'];
+
+  params.client_id = this.clientId;
+  params.client_secret = this.clientSecret;
+
+  this.api.execute({verb: "POST", auth: false}, TOKEN_PATH, availableParams, params, function (error, data) {
+    if (error) {
+      return callback(error);
+    }
+
+    var tokens = {
+      access_token: data.access_token,
+      refresh_token: data.refresh_token || self.tokens.refresh_token,
+      expires_at: data.expires_in ? Date.now() + data.expires_in * 1000 : undefined
+    };
+
+    self.tokens = tokens;
+    self.loaded = true;
+
+    if (!self.store) {
+      return callback(null, tokens);
+    }
+
+    self.store.save(tokens, function (error) {
+      callback(error || null, tokens);
+    });
+  });
+};
+
+/**
+ * Runs `work` once for all callers arriving while it is in progress.
+ */
+TokenManager.prototype.coalesce = function (key, work, callback) {
+  var self = this;
+
+  if (this.waiting[key]) {
+    return this.waiting[key].push(callback);
+  }
+
+  var waiting = this.waiting[key] = [callback];
+
+  work(function (error, result) {
+    delete self.waiting[key];
+
+    waiting.forEach(function (waitingCallback) {
+      waitingCallback(error, result);
+    });
+  });
+};
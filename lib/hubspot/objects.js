@@ -0,0 +1,53 @@
+/**
+ * The CRM object types that can be synced and exported, and how: the
+ * endpoint listing recently modified records (newest first), the one listing
+ * every record, and where records keep their id and modification time.
+ *
+ *  - recent, recentParams   Recently modified endpoint and its page params
+ *  - recentSince            Param restricting it to changes after a time
+ *  - windowLimit            Number of records it can page through at most
+ *  - all, allParams         Endpoint listing every record and its page params
+ *  - propertiesParam        Param selecting the properties of the records
+ *  - historyParams          Params adding the property history (contacts)
+ *  - historyProperties      Param selecting properties with their history
+ *  - id                     Field of the record id
+ *  - modified               Property of the modification time
+ *  - modifiedFallback       Field of the modification time, if the property is missing
+ */
+module.exports = {
+  contacts: {
+    recent: 'contacts_recently_updated',
+    recentParams: { count: 100 },
+    windowLimit: 10000,
+    all: 'all_contacts',
+    allParams: { count: 100 },
+    propertiesParam: 'property',
+    historyParams: { propertyMode: 'value_and_history' },
+    id: 'vid',
+    modified: 'lastmodifieddate',
+    modifiedFallback: 'addedAt'
+  },
+  companies: {
+    recent: 'companies_recent_modified',
+    recentParams: { count: 100 },
+    windowLimit: 10000,
+    all: 'companies_all',
+    allParams: { limit: 250 },
+    propertiesParam: 'properties',
+    historyProperties: 'propertiesWithHistory',
+    id: 'companyId',
+    modified: 'hs_lastmodifieddate'
+  },
+  deals: {
+    recent: 'deals_recent_modified',
+    recentParams: { count: 100 },
+    recentSince: 'since',
+    windowLimit: 10000,
+    all: 'deals_all',
+    allParams: { limit: 250 },
+    propertiesParam: 'properties',
+    historyProperties: 'propertiesWithHistory',
+    id: 'dealId',
+    modified: 'hs_lastmodifieddate'
+  }
+};
@@ -0,0 +1,100 @@
+var Readable = require('stream').Readable;
+var util = require('util');
+var _ = require('lodash');
+var registry = require('./registry');
+var transport = require('./transport');
+
+/**
+ * Readable object stream emitting every item of a paginated endpoint, one
+ * page request at a time, following the `pagination` of the endpoint's
+ * definition. Being a readable stream it can also be consumed with
+ * `for await`.
+ *
+ * Available options are:
+ *  - maxItems    Stop after emitting this many items
+ *  - maxPages    Stop after requesting this many pages
+ *
+ * and the {@link transport.callOptions} of the page requests.
+ *
+ * @param api Instance of {@link hubspotAPI}
+ * @param method Name of the paginated API method, e.g. `all_contacts`
+ * @param params Parameters of the first page request
+ * @param options Pagination options
+ */
+function Paginator(api, method, params, options) {
+  var definition = registry.definitions[method];
+
+  if (!definition || !definition.pagination) {
+    throw new Error('Pagination is not supported for ' + method);
+  }
+
+  Readable.call(this, { objectMode: true });
+
+  options = options || {};
+
+  this.api = api;
+  this.method = method;
+  this.params = _.clone(params || {});
+  this.config = definition.pagination;
+  this.maxItems = options.maxItems;
+  this.maxPages = options.maxPages;
+  this.requestOptions = _.pick(options, transport.callOptions);
+  this.pages = 0;
+  this.items = 0;
+  this.fetching = false;
+}
+
+util.inherits(Paginator, Readable);
+
+Paginator.prototype._read = function () {
+  var self = this;
+  var config = this.config;
+
+  if (this.fetching) {
+    return;
+  }
+
+  this.fetching = true;
+
+  this.api[this.method](this.params, this.requestOptions, function (error, page) {
+    self.fetching = false;
+
+    if (error) {
+      return self.emit('error', error);
+    }
+
+    var items = (page && page[config.items]) || [];
+    var pushed = 0;
+
+    self.pages++;
+
+    for (var i = 0; i < items.length && !self.reachedMaxItems(); i++) {
+      self.items++;
+      pushed++;
+      self.push(items[i]);
+    }
+
+    for (var param in config.cursor) {
+      self.params[param] = page[config.cursor[param]];
+    }
+
+    if (!page[config.hasMore] || self.reachedMaxItems() || self.reachedMaxPages()) {
+      return self.push(null);
+    }
+
+    // Nothing was pushed, so the stream will not ask for more on its own
+    if (!pushed) {
+      self._read();
+    }
+  });
+};
+
+Paginator.prototype.reachedMaxItems = function () {
+  return this.maxItems !== undefined && this.items >= this.maxItems;
+};
+
+Paginator.prototype.reachedMaxPages = function () {
+  return this.maxPages !== undefined && this.pages >= this.maxPages;
+};
+
+module.exports = Paginator;
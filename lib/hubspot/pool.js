@@ -0,0 +1,423 @@
+var _ = require('lodash');
+var hubspotAPI = require('./hubspot');
+var transport = require('./transport');
+
+var SECOND = 1000;
+
+/**
+ * Creates and keeps one client per portal, and shares the request budget of
+ * every portal among its requests. All requests go through a queue per
+ * portal; the queues are served in turn, so a portal sending many requests
+ * only delays its own.
+ *
+ * A request of a portal starts when
+ *
+ *  - fewer than `concurrency` requests of the portal are in flight,
+ *  - fewer than `perSecond` of its requests started in the last second,
+ *  - HubSpot's `X-HubSpot-RateLimit-*` headers don't say its secondly,
+ *    interval or daily limit is used up, and no 429 asked to wait,
+ *  - and fewer than `maxConcurrent` requests of all portals are in flight.
+ *
+ * Once the daily budget of a portal is used up, its requests fail with a
+ * 429 `HubspotRateLimitError` instead of waiting for the next day.
+ *
+ * Available options are:
+ *  - credentials     Function returning the client options (`api_key`, or the
+ *                    OAuth options with a `tokenStore`) of a portal id, for
+ *                    portals not added with {@link ClientPool#add}
+ *  - defaults        Client options shared by every portal, e.g. `retry` or `logger`.
+ *                    With a shared `cache` store, every portal gets a namespace of its own.
+ *  - concurrency     Requests in flight per portal. Defaults to 5.
+ *  - perSecond       Requests per portal and second. Defaults to 10.
+ *  - daily           Requests per portal and day (UTC). Defaults to no limit
+ *                    but the one HubSpot reports.
+ *  - maxConcurrent   Requests in flight over all portals. Defaults to 50.
+ *  - transport       Transport shared by the clients, defaults to an {@link HttpTransport}
+ *                    with the `keepAlive` and `maxSockets` options
+ *
+ * @param options Pool options
+ */
+function ClientPool(options) {
+  options = options || {};
+
+  this.credentials = options.credentials;
+  this.defaults = options.defaults || {};
+  this.limits = {
+    concurrency: options.concurrency || 5,
+    perSecond: options.perSecond || 10,
+    daily: options.daily
+  };
+  this.maxConcurrent = options.maxConcurrent || 50;
+  this.transport = options.transport || new transport.HttpTransport(options);
+  this.portals = {};
+  this.order = [];
+  this.turn = -1;
+  this.inFlight = 0;
+  this.timer = null;
+}
+
+module.exports = ClientPool;
+
+/**
+ * Adds the client of a portal, replacing the one it may have.
+ *
+ * @param portalId Id of the portal
+ * @param clientOptions Options of its client, see {@link hubspotAPI}
+ * @param limits Optional `concurrency`, `perSecond` and `daily` of the portal
+ * @return The client
+ */
+ClientPool.prototype.add = function (portalId, clientOptions, limits) {
+  var self = this;
+  var portal = this.portals[portalId];
+
+  if (!portal) {
+    portal = this.portals[portalId] = new Portal(portalId);
+    this.order.push(portal);
+  }
+
+  var options = _.assign({}, this.defaults, clientOptions, {
+    transport: {
+      request: function (options, callback) {
+        self.schedule(portal, options, callback);
+      }
+    }
+  });
+
+  if (options.cache) {
+    options.cache = _.assign({ namespace: 'hubspot:' + portalId + ':' }, options.cache === true ? {} : options.cache);
+  }
+
+  portal.limits = _.assign({}, this.limits, limits);
+  portal.client = new hubspotAPI(options);
+
+  return portal.client;
+};
+
+/**
+ * The client of a portal, created with the `credentials` option the first
+ * time it is asked for.
+ *
+ * @param portalId Id of the portal
+ * @return Instance of {@link hubspotAPI}
+ */
+ClientPool.prototype.client = function (portalId) {
+  var portal = this.portals[portalId];
+
+  if (portal && portal.client) {
+    return portal.client;
+  }
+
+  var clientOptions = this.credentials && this.credentials(portalId);
+
+  if (!clientOptions) {
+    throw new Error('No credentials for portal ' + portalId);
+  }
+
+  return this.add(portalId, clientOptions);
+};
+
+/**
+ * Forgets the client of a portal. Its queued requests are still sent.
+ *
+ * @param portalId Id of the portal
+ */
+ClientPool.prototype.remove = function (portalId) {
+  var portal = this.portals[portalId];
+
+  if (portal) {
+    portal.client = null;
+  }
+};
+
+/**
+ * Usage of a portal, or of every portal:
+ *
+ *  - inFlight, queued        Requests sent and waiting right now
+ *  - requests                Requests sent since the pool was created
+ *  - lastSecond, today       Requests sent in the last second and today (UTC)
+ *  - failures, rateLimited   Requests without a response, and answered with a 429
+ *  - averageWait             Average time requests spent queued, in ms
+ *  - dailyLimit, dailyRemaining, secondlyRemaining   As last reported by HubSpot
+ *  - blockedUntil            Time until which no request is sent, if any
+ *
+ * @param portalId Optional id of a portal
+ * @return The stats of the portal, or `{inFlight, queued, portals}` with the
+ *         stats of every portal by id
+ */
+ClientPool.prototype.stats = function (portalId) {
+  var now = Date.now();
+
+  if (portalId !== undefined) {
+    return this.portals[portalId] ? this.portals[portalId].stats(now) : null;
+  }
+
+  var portals = _.mapValues(this.portals, function (portal) {
+    return portal.stats(now);
+  });
+
+  return {
+    inFlight: this.inFlight,
+    queued: _.sum(_.pluck(_.values(portals), 'queued')),
+    portals: portals
+  };
+};
+
+/**
+ * Closes the connections of the shared transport.
+ */
+ClientPool.prototype.destroy = function () {
+  clearTimeout(this.timer);
+
+  if (this.transport.destroy) {
+    this.transport.destroy();
+  }
+};
+
+/**
+ * Queues a request of a portal, see the `request` of {@link transport}.
+ */
+ClientPool.prototype.schedule = function (portal, options, callback) {
+  var request = { options: options, callback: callback, queuedAt: Date.now() };
+
+  if (options.signal) {
+    if (options.signal.aborted) {
+      return process.nextTick(function () {
+        callback(transport.abortError());
+      });
+    }
+
+    request.onAbort = function () {
+      _.pull(portal.queue, request);
+      callback(transport.abortError());
+    };
+
+    options.signal.addEventListener('abort', request.onAbort);
+  }
+
+  portal.queue.push(request);
+  this.dispatch();
+};
+
+/**
+ * Starts the requests that may start, taking one request of every portal in
+ * turn, and sets a timer for the next request held back by a budget.
+ */
+ClientPool.prototype.dispatch = function () {
+  var self = this;
+  var now = Date.now();
+  var wakeAt = Infinity;
+  var started = true;
+
+  clearTimeout(this.timer);
+  this.timer = null;
+
+  while (started && this.inFlight < this.maxConcurrent) {
+    started = false;
+
+    for (var i = 0; i < this.order.length && this.inFlight < this.maxConcurrent; i++) {
+      this.turn = (this.turn + 1) % this.order.length;
+
+      var portal = this.order[this.turn];
+
+      if (!portal.queue.length) {
+        continue;
+      }
+
+      var readyAt = portal.readyAt(now);
+
+      if (readyAt <= now) {
+        this.start(portal, portal.queue.shift(), now);
+        started = true;
+      } else {
+        wakeAt = Math.min(wakeAt, readyAt);
+      }
+    }
+  }
+
+  if (wakeAt < Infinity) {
+    this.timer = setTimeout(function () {
+      self.dispatch();
+    }, wakeAt - now);
+  }
+};
+
+ClientPool.prototype.start = function (portal, request, now) {
+  var self = this;
+  var options = request.options;
+
+  if (options.signal) {
+    options.signal.removeEventListener('abort', request.onAbort);
+  }
+
+  if (portal.dailyUsedUp(now)) {
+    return process.nextTick(function () {
+      request.callback(null, dailyLimitResponse(portal));
+    });
+  }
+
+  portal.begin(now, request.queuedAt);
+  this.inFlight++;
+
+  this.transport.request(options, function (error, response) {
+    self.inFlight--;
+    portal.end(error, response, Date.now());
+    request.callback(error, response);
+    self.dispatch();
+  });
+};
+
+/**
+ * Requests and budget of a single portal.
+ */
+function Portal(id) {
+  this.id = id;
+  this.client = null;
+  this.limits = {};
+  this.queue = [];
+  this.inFlight = 0;
+  this.recent = [];
+  this.blockedUntil = 0;
+  this.day = null;
+  this.today = 0;
+  this.requests = 0;
+  this.failures = 0;
+  this.rateLimited = 0;
+  this.waited = 0;
+  this.dailyLimit = undefined;
+  this.dailyRemaining = undefined;
+  this.secondlyRemaining = undefined;
+}
+
+/**
+ * @return When the next request of the portal may start: now or later, or
+ *         never (Infinity) until one of its requests in flight completes
+ */
+Portal.prototype.readyAt = function (now) {
+  if (this.inFlight >= this.limits.concurrency) {
+    return Infinity;
+  }
+
+  this.forget(now);
+
+  var readyAt = Math.max(now, this.blockedUntil);
+
+  if (this.recent.length >= this.limits.perSecond) {
+    readyAt = Math.max(readyAt, this.recent[this.recent.length - this.limits.perSecond] + SECOND);
+  }
+
+  return readyAt;
+};
+
+Portal.prototype.dailyUsedUp = function (now) {
+  this.forget(now);
+
+  return (this.limits.daily !== undefined && this.today >= this.limits.daily) || this.dailyRemaining === 0;
+};
+
+Portal.prototype.begin = function (now, queuedAt) {
+  this.inFlight++;
+  this.requests++;
+  this.today++;
+  this.waited += now - queuedAt;
+  this.recent.push(now);
+
+  if (this.dailyRemaining) {
+    this.dailyRemaining--;
+  }
+};
+
+/**
+ * Takes in the outcome of a request and the limits HubSpot reported with it.
+ */
+Portal.prototype.end = function (error, response, now) {
+  this.inFlight--;
+
+  if (!response) {
+    this.failures++;
+    return;
+  }
+
+  var headers = response.headers || {};
+  var interval = number(headers['x-hubspot-ratelimit-interval-milliseconds']);
+
+  this.dailyLimit = number(headers['x-hubspot-ratelimit-daily']) || this.dailyLimit;
+  this.dailyRemaining = first(number(headers['x-hubspot-ratelimit-daily-remaining']), this.dailyRemaining);
+  this.secondlyRemaining = first(number(headers['x-hubspot-ratelimit-secondly-remaining']), this.secondlyRemaining);
+
+  if (this.secondlyRemaining === 0) {
+    this.block(now + SECOND);
+  }
+
+  if (number(headers['x-hubspot-ratelimit-remaining']) === 0 && interval) {
+    this.block(now + interval);
+  }
+
+  if (response.statusCode === 429) {
+    this.rateLimited++;
+    this.block(now + (number(headers['retry-after']) * SECOND || SECOND));
+  }
+};
+
+Portal.prototype.block = function (until) {
+  this.blockedUntil = Math.max(this.blockedUntil, until);
+};
+
+/**
+ * Drops the starts older than a second, and the count of a past day.
+ */
+Portal.prototype.forget = function (now) {
+  var day = new Date(now).toISOString().slice(0, 10);
+
+  if (day !== this.day) {
+    this.day = day;
+    this.today = 0;
+    this.dailyRemaining = undefined;
+  }
+
+  while (this.recent.length && this.recent[0] <= now - SECOND) {
+    this.recent.shift();
+  }
+};
+
+Portal.prototype.stats = function (now) {
+  this.forget(now);
+
+  return {
+    portalId: this.id,
+    inFlight: this.inFlight,
+    queued: this.queue.length,
+    requests: this.requests,
+    lastSecond: this.recent.length,
+    today: this.today,
+    failures: this.failures,
+    rateLimited: this.rateLimited,
+    averageWait: this.requests ? Math.round(this.waited / this.requests) : 0,
+    dailyLimit: this.dailyLimit,
+    dailyRemaining: this.dailyRemaining,
+    secondlyRemaining: this.secondlyRemaining,
+    blockedUntil: this.blockedUntil > now ? this.blockedUntil : null
+  };
+};
+
+/**
+ * The 429 answered locally once a portal used up its daily budget.
+ */
+function dailyLimitResponse(portal) {
+  return {
+    statusCode: 429,
+    headers: { 'content-type': 'application/json' },
+    body: Buffer.from(JSON.stringify({
+      status: 'error',
+      message: 'The daily request budget of portal ' + portal.id + ' is used up',
+      policyName: 'DAILY'
+    }))
+  };
+}
+
+function number(value) {
+  return value === undefined || value === '' ? undefined : Number(value);
+}
+
+function first(value, fallback) {
+  return value === undefined || isNaN(value) ? fallback : value;
+}
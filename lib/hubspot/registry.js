@@ -0,0 +1,162 @@
+var _ = require('lodash');
+var definitions = require('./versions');
+
+var PATH_PARAM = /:(\w+)/g;
+
+/**
+ * Turns the endpoint definitions of `versions/` into requests. See
+ * `versions/index.js` for the format of a definition.
+ */
+
+exports.definitions = definitions;
+
+/**
+ * Methods written by hand on top of the endpoints, e.g. `deals_stage_labels`,
+ * keyed by name: {resource, calls (names of the endpoints called), params}.
+ * They are listed by {@link describe} with the endpoints.
+ */
+exports.composites = {};
+
+/**
+ * Fills the `:name` segments of a definition's path template with the
+ * URL-encoded params of the same name.
+ *
+ * @param definition Endpoint definition
+ * @param params Params of the call
+ * @return {string} Path of the request
+ */
+exports.buildPath = function buildPath(definition, params) {
+  return definition.path.replace(PATH_PARAM, function (match, name) {
+    if (name === 'version') {
+      return encodeURIComponent(params.version || definition.version);
+    }
+
+    return encodeURIComponent(params[name]);
+  });
+};
+
+/**
+ * Names of the params filling the path template of a definition, `version`
+ * excepted as it has a default.
+ *
+ * @param definition Endpoint definition
+ * @return {Array}
+ */
+exports.pathParams = function pathParams(definition) {
+  var names = [];
+
+  definition.path.replace(PATH_PARAM, function (match, name) {
+    if (name !== 'version') {
+      names.push(name);
+    }
+  });
+
+  return names;
+};
+
+/**
+ * Checks that every path param and every required param of a definition is
+ * given, so a missing id never ends up as `/undefined/` in the URL.
+ *
+ * @param name Name of the endpoint
+ * @param definition Endpoint definition
+ * @param params Params of the call
+ * @return {Error|null}
+ */
+exports.checkRequired = function checkRequired(name, definition, params) {
+  var missingPathParam = _.find(exports.pathParams(definition), function (param) {
+    return isBlank(params[param]) || typeof params[param] === 'object';
+  });
+
+  if (missingPathParam) {
+    return new Error(name + ' requires the ' + missingPathParam + ' path param (' + definition.path + ')');
+  }
+
+  var missing = _.find(definition.required || [], function (param) {
+    return params[param] === undefined || params[param] === null;
+  });
+
+  return missing ? new Error(name + ' requires the ' + missing + ' param') : null;
+};
+
+/**
+ * Splits the params of a chunked endpoint into the params of every request,
+ * each carrying a single chunk of a single chunked param.
+ *
+ * @param definition Endpoint definition
+ * @param params Params of the call
+ * @return {Array} Params of the requests to send
+ */
+exports.chunkParams = function chunkParams(definition, params) {
+  var chunked = _.pluck(definition.chunk, 'param');
+  var common = _.omit(params, chunked);
+  var requests = [];
+
+  definition.chunk.forEach(function (spec) {
+    _.chunk([].concat(params[spec.param] || []), spec.size).forEach(function (chunk) {
+      var request = _.clone(common);
+      request[spec.param] = chunk;
+      requests.push(request);
+    });
+  });
+
+  return requests;
+};
+
+/**
+ * Summarizes the endpoint definitions and the composite methods, e.g. for
+ * listing what the client supports.
+ *
+ * @param name Optional name of a single endpoint or method
+ * @return Array of {name, resource, verb, path, version, pathParams, query, body, required, paginated, docs},
+ *         composite methods having `composite: true`, the endpoints they `calls` and their `params`
+ *         instead of verb, path and version. Or the summary of the named endpoint or method.
+ */
+exports.describe = function describe(name) {
+  if (name) {
+    if (definitions[name]) {
+      return summary(name, definitions[name]);
+    }
+
+    return exports.composites[name] ? compositeSummary(name, exports.composites[name]) : undefined;
+  }
+
+  return _.map(definitions, function (definition, name) {
+    return summary(name, definition);
+  }).concat(_.map(exports.composites, function (composite, name) {
+    return compositeSummary(name, composite);
+  }));
+};
+
+function summary(name, definition) {
+  return {
+    name: name,
+    resource: definition.resource,
+    verb: definition.verb,
+    verbs: definition.verbs,
+    path: definition.path,
+    version: definition.version,
+    pathParams: exports.pathParams(definition),
+    query: definition.query || [],
+    body: definition.rawBody ? [definition.rawBody] : definition.body || [],
+    required: definition.required || [],
+    paginated: !!definition.pagination,
+    docs: definition.docs
+  };
+}
+
+function compositeSummary(name, composite) {
+  return {
+    name: name,
+    resource: composite.resource,
+    composite: true,
+    calls: composite.calls,
+    params: composite.params || [],
+    required: [],
+    paginated: false
+  };
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
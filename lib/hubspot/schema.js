@@ -0,0 +1,84 @@
+var _ = require('lodash');
+
+/**
+ * Computes the changes turning a portal's property groups and properties
+ * into the declared ones. Declared groups and properties are only compared
+ * on the fields they declare, so everything left out keeps its current value.
+ *
+ * Changes come in the order they have to be applied: groups first, so new
+ * properties can be put into them, then properties, then deletions.
+ *
+ * @param current {groups, properties} as returned by the API
+ * @param desired {groups, properties} as declared
+ * @param options `prune: true` also deletes custom properties of the
+ *                declared groups which are not declared
+ * @return Array of {action: create|update|delete, kind: group|property, name, params}
+ */
+exports.plan = function plan(current, desired, options) {
+  options = options || {};
+
+  var changes = [];
+  var currentGroups = _.indexBy(current.groups || [], 'name');
+  var currentProperties = _.indexBy(current.properties || [], 'name');
+  var desiredGroups = desired.groups || [];
+  var desiredProperties = desired.properties || [];
+
+  desiredGroups.forEach(function (group) {
+    changes = changes.concat(change('group', group, currentGroups[group.name]));
+  });
+
+  desiredProperties.forEach(function (property) {
+    changes = changes.concat(change('property', property, currentProperties[property.name]));
+  });
+
+  if (options.prune) {
+    var declared = _.indexBy(desiredProperties, 'name');
+    var managedGroups = _.uniq(_.pluck(desiredGroups, 'name').concat(_.compact(_.pluck(desiredProperties, 'groupName'))));
+
+    (current.properties || []).forEach(function (property) {
+      if (!declared[property.name] && isCustom(property) && managedGroups.indexOf(property.groupName) !== -1) {
+        changes.push({ action: 'delete', kind: 'property', name: property.name, params: { name: property.name } });
+      }
+    });
+  }
+
+  return changes;
+};
+
+function change(kind, desired, current) {
+  if (!current) {
+    return [{ action: 'create', kind: kind, name: desired.name, params: desired }];
+  }
+
+  if (differs(desired, current)) {
+    return [{ action: 'update', kind: kind, name: desired.name, params: desired }];
+  }
+
+  return [];
+}
+
+function differs(desired, current) {
+  return _.some(desired, function (value, key) {
+    if (key === 'options') {
+      return optionsDiffer(value || [], current.options || []);
+    }
+
+    return !_.isEqual(value, current[key]);
+  });
+}
+
+function optionsDiffer(desired, current) {
+  if (desired.length !== current.length) {
+    return true;
+  }
+
+  var currentOptions = _.indexBy(current, 'value');
+
+  return _.some(desired, function (option) {
+    return !currentOptions[option.value] || differs(option, currentOptions[option.value]);
+  });
+}
+
+function isCustom(property) {
+  return !property.hubspotDefined && !property.readOnlyDefinition;
+}
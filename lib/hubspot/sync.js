@@ -0,0 +1,442 @@
+var _ = require('lodash');
+var helpers = require('./helpers');
+var transport = require('./transport');
+var cursors = require('./cursors');
+var objects = require('./objects');
+var registry = require('./registry');
+
+var DAY = 24 * 60 * 60 * 1000;
+
+// Changes made this long before a full scan started are delivered again by
+// the next run, in case the local clock is ahead of HubSpot's
+var CLOCK_SKEW = 60 * 1000;
+
+/**
+ * Pulls the contacts, companies or deals changed since the last run, in
+ * the order they were modified, and keeps the position in a cursor store.
+ *
+ * A run walks the recently modified endpoint of the type until it reaches
+ * the cursor. The records are deduplicated (offset pages shift while
+ * records change) and handed to the consumer in batches, oldest first; the
+ * cursor moves past a batch once the consumer acknowledged it, so a failed
+ * run resumes with the first unacknowledged batch. As the recent endpoints
+ * list the newest records first, the changed records are collected before
+ * the first batch, at most as many as the endpoint pages through (10000).
+ *
+ * Without a cursor, with one older than the recent window, or when more
+ * records changed than the recent endpoint can page through, every record
+ * is scanned instead. A full scan hands each page to the consumer as it
+ * arrives, in the order of the listing endpoint, and keeps its position in
+ * the cursor, so a failed scan resumes where it stopped.
+ *
+ * Available options are:
+ *  - store        Cursor store, see {@link cursors}. Defaults to a {@link MemoryCursorStore}.
+ *  - key          Key of the cursor in the store. Defaults to the object type.
+ *  - batchSize    Records per batch. Defaults to 100.
+ *  - properties   Properties to request besides the modification date, where
+ *                 the endpoints don't return all of them
+ *  - maxAge       Age in ms beyond which a cursor is caught up with a full scan.
+ *                 Defaults to 30 days, the window of the recent endpoints.
+ *
+ * and the {@link transport.callOptions} of its requests.
+ *
+ * @param api Instance of {@link hubspotAPI}
+ * @param type Object type, `contacts`, `companies` or `deals`
+ * @param options Sync options
+ */
+function Sync(api, type, options) {
+  if (!objects[type]) {
+    throw new Error('Sync is not supported for ' + type + ', only for ' + Object.keys(objects).join(', '));
+  }
+
+  options = options || {};
+
+  this.api = api;
+  this.type = type;
+  this.config = objects[type];
+  this.store = options.store || new cursors.MemoryCursorStore();
+  this.key = options.key || type;
+  this.batchSize = options.batchSize || 100;
+  this.properties = [].concat(options.properties || []);
+  this.maxAge = options.maxAge || 30 * DAY;
+  this.requestOptions = _.pick(options, transport.callOptions);
+  this.running = false;
+}
+
+module.exports = Sync;
+
+/**
+ * Runs the sync once. `onBatch(records, ack)` is called with every batch
+ * and must call `ack()` when it is done with it, or `ack(error)` to stop
+ * the run; it may return a Promise instead.
+ *
+ * @param onBatch Consumer of the changed records
+ * @param callback Called with `{mode, reason, records, batches, cursor}`,
+ *                 `mode` being `recent` or `full`. When omitted a Promise is
+ *                 returned instead.
+ */
+Sync.prototype.run = function (onBatch, callback) {
+  var self = this;
+
+  return helpers.promiseOrCallback(callback, function (done) {
+    var startedAt = Date.now();
+
+    if (self.running) {
+      return done(new Error('The ' + self.key + ' sync is already running'));
+    }
+
+    self.running = true;
+
+    function finish(error, summary) {
+      self.running = false;
+      done(error, summary);
+    }
+
+    self.store.load(self.key, function (error, cursor) {
+      if (error) {
+        return finish(error);
+      }
+
+      self.changes(cursor, startedAt, onBatch, function (error, changes) {
+        if (error) {
+          return finish(error);
+        }
+
+        self.store.save(self.key, changes.cursor, function (error) {
+          finish(error, error ? undefined : changes);
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Delivers the records changed after the cursor, and calls back with the
+ * summary of the run and the cursor to save at its end.
+ */
+Sync.prototype.changes = function (cursor, startedAt, onBatch, callback) {
+  var self = this;
+
+  function scan(reason) {
+    var scanning = _.assign({}, cursor, {
+      scan: { startedAt: startedAt, reason: reason, params: {}, skip: 0 }
+    });
+
+    self.scan(scanning, onBatch, callback);
+  }
+
+  if (cursor && cursor.scan) {
+    return this.scan(cursor, onBatch, callback);
+  }
+
+  if (!cursor) {
+    return scan('no cursor');
+  }
+
+  if (Date.now() - (cursor.checkedAt || cursor.since) > this.maxAge) {
+    return scan('cursor older than the recent window');
+  }
+
+  this.walk(cursor, function (error, walked) {
+    if (error) {
+      return callback(error);
+    }
+
+    if (walked.exceeded) {
+      return scan('recent window limit exceeded');
+    }
+
+    self.deliver(walked.records, cursor, onBatch, function (error, delivered) {
+      if (error) {
+        return callback(error);
+      }
+
+      // Everything changed until the start of the run has been delivered
+      var checked = _.assign({ since: 0, ids: [] }, delivered.cursor, { checkedAt: startedAt });
+
+      callback(null, {
+        mode: 'recent',
+        records: walked.records.length,
+        batches: delivered.batches,
+        cursor: checked
+      });
+    });
+  });
+};
+
+Sync.prototype.recentParams = function (cursor) {
+  var params = _.clone(this.config.recentParams);
+
+  if (this.config.recentSince) {
+    params[this.config.recentSince] = cursor.since;
+  }
+
+  if (this.config.propertiesParam === 'property') {
+    params.property = [this.config.modified].concat(this.properties);
+  }
+
+  return params;
+};
+
+Sync.prototype.allParams = function () {
+  var params = _.clone(this.config.allParams);
+
+  params[this.config.propertiesParam] = [this.config.modified].concat(this.properties);
+  return params;
+};
+
+/**
+ * Pages through the recent endpoint collecting the records changed after
+ * the cursor, sorted by modification time. It lists the newest records
+ * first, so the walk stops at the first record the cursor already covers.
+ */
+Sync.prototype.walk = function (cursor, callback) {
+  var self = this;
+  var windowLimit = this.config.windowLimit;
+  var options = _.assign({ maxItems: windowLimit }, this.requestOptions);
+  var pages = this.api.paginate(this.config.recent, this.recentParams(cursor), options);
+  var changed = {};
+  var seen = 0;
+  var stopped = false;
+
+  function end(error, exceeded) {
+    if (stopped) {
+      return;
+    }
+
+    stopped = true;
+
+    if (error) {
+      return callback(error);
+    }
+
+    var records = _.sortByAll(_.values(changed), ['modified', 'id']);
+
+    callback(null, { records: _.pluck(records, 'record'), exceeded: exceeded });
+  }
+
+  pages.on('data', function (record) {
+    if (stopped) {
+      return;
+    }
+
+    seen++;
+
+    var change = { id: record[self.config.id], modified: self.modifiedAt(record), record: record };
+
+    if (change.modified < cursor.since) {
+      pages.destroy();
+      return end(null, false);
+    }
+
+    if (isNew(change, cursor) && !(changed[change.id] && changed[change.id].modified > change.modified)) {
+      changed[change.id] = change;
+    }
+  });
+
+  pages.on('error', end);
+  pages.on('end', function () {
+    end(null, windowLimit !== undefined && seen >= windowLimit);
+  });
+};
+
+/**
+ * Pages through every record, handing the ones changed after the cursor to
+ * the consumer as they arrive. After every acknowledged batch the cursor
+ * keeps `scan.params`, the params of the page holding the next record, and
+ * `scan.skip`, the records of that page already handed over. Once the scan
+ * is complete the cursor moves to the time it started.
+ */
+Sync.prototype.scan = function (cursor, onBatch, callback) {
+  var self = this;
+  var pagination = registry.definitions[this.config.all].pagination;
+  var scan = cursor.scan;
+  var pending = [];
+  var next = { params: scan.params, skip: scan.skip };
+  var records = 0;
+  var batches = 0;
+
+  function fetch(done) {
+    var position = next;
+
+    self.api[self.config.all](_.assign(self.allParams(), position.params), self.requestOptions, function (error, page) {
+      if (error) {
+        return done(error);
+      }
+
+      var items = (page && page[pagination.items]) || [];
+
+      for (var i = position.skip; i < items.length; i++) {
+        var change = { id: items[i][self.config.id], modified: self.modifiedAt(items[i]) };
+
+        if (cursor.since === undefined || isNew(change, cursor)) {
+          pending.push({ record: items[i], params: position.params, skip: i });
+        }
+      }
+
+      if (!page || !page[pagination.hasMore]) {
+        next = null;
+        return done(null);
+      }
+
+      var params = {};
+
+      for (var param in pagination.cursor) {
+        params[param] = page[pagination.cursor[param]];
+      }
+
+      next = { params: params, skip: 0 };
+      done(null);
+    });
+  }
+
+  (function step() {
+    if (pending.length < self.batchSize && next) {
+      return fetch(function (error) {
+        return error ? callback(error) : step();
+      });
+    }
+
+    if (!pending.length) {
+      var since = scan.startedAt - CLOCK_SKEW;
+
+      return callback(null, {
+        mode: 'full',
+        reason: scan.reason,
+        records: records,
+        batches: batches,
+        cursor: { since: since, ids: [], checkedAt: scan.startedAt }
+      });
+    }
+
+    var batch = pending.splice(0, self.batchSize);
+
+    acknowledge(onBatch, _.pluck(batch, 'record'), function (error) {
+      if (error) {
+        return callback(error);
+      }
+
+      records += batch.length;
+      batches++;
+
+      var resume = pending[0] || next;
+
+      // The last batch of the scan, the run saves the final cursor
+      if (!resume) {
+        return step();
+      }
+
+      scan = _.assign({}, scan, { params: resume.params, skip: resume.skip });
+      cursor = _.assign({}, cursor, { scan: scan });
+
+      self.store.save(self.key, cursor, function (error) {
+        return error ? callback(error) : step();
+      });
+    });
+  })();
+};
+
+/**
+ * Hands the records to the consumer batch by batch, saving the cursor after
+ * every acknowledged batch.
+ */
+Sync.prototype.deliver = function (records, cursor, onBatch, callback) {
+  var self = this;
+  var batches = 0;
+
+  (function next(start) {
+    if (start >= records.length) {
+      return callback(null, { batches: batches, cursor: cursor });
+    }
+
+    var batch = records.slice(start, start + self.batchSize);
+
+    acknowledge(onBatch, batch, function (error) {
+      if (error) {
+        return callback(error);
+      }
+
+      var advanced = self.advance(cursor, batch);
+
+      self.store.save(self.key, advanced, function (error) {
+        if (error) {
+          return callback(error);
+        }
+
+        cursor = advanced;
+        batches++;
+        next(start + batch.length);
+      });
+    });
+  })(0);
+};
+
+/**
+ * The cursor past a batch: the modification time of its last record and
+ * the ids of the records modified at that very time, which the next run
+ * must not deliver again. `checkedAt`, the start of the last complete run,
+ * only moves once a run delivered everything.
+ */
+Sync.prototype.advance = function (cursor, batch) {
+  var self = this;
+  var since = this.modifiedAt(batch[batch.length - 1]);
+  var ids = cursor && cursor.since === since ? cursor.ids.slice() : [];
+
+  batch.forEach(function (record) {
+    if (self.modifiedAt(record) === since) {
+      ids.push(record[self.config.id]);
+    }
+  });
+
+  return { since: since, ids: _.uniq(ids), checkedAt: cursor && cursor.checkedAt };
+};
+
+/**
+ * @return Modification time of a record in ms, also with normalized properties
+ */
+Sync.prototype.modifiedAt = function (record) {
+  var property = record.properties && record.properties[this.config.modified];
+  var value = property && typeof property === 'object' && !(property instanceof Date) ? property.value : property;
+
+  if ((value === undefined || value === null) && this.config.modifiedFallback) {
+    value = record[this.config.modifiedFallback];
+  }
+
+  return value instanceof Date ? value.getTime() : Number(value) || 0;
+};
+
+function isNew(change, cursor) {
+  if (!cursor) {
+    return true;
+  }
+
+  return change.modified > cursor.since ||
+    (change.modified === cursor.since && cursor.ids.indexOf(change.id) === -1);
+}
+
+function acknowledge(onBatch, batch, callback) {
+  var acknowledged = false;
+
+  function ack(error) {
+    if (!acknowledged) {
+      acknowledged = true;
+      callback(error || null);
+    }
+  }
+
+  var result;
+
+  try {
+    result = onBatch(batch, ack);
+  } catch (e) {
+    return ack(e);
+  }
+
+  if (result && typeof result.then === 'function') {
+    result.then(function () {
+      ack();
+    }, function (error) {
+      ack(error || new Error('The batch was rejected'));
+    });
+  }
+}
@@ -0,0 +1,254 @@
+var fs = require('fs');
+var http = require('http');
+var https = require('https');
+var url = require('url');
+var _ = require('lodash');
+var helpers = require('../helpers');
+var serverHttp = require('./http');
+
+var CREDENTIALS = ['hapikey', 'access_token'];
+var RECORDED_HEADERS = /^(content-type|retry-after|x-hubspot-ratelimit-.*|x-hubspot-correlation-id)$/i;
+
+/**
+ * Records the interactions of a client with the real API as JSON fixtures,
+ * to be replayed offline by {@link Replayer}. The recorder is a local proxy:
+ * point the client's `httpUri` at it and every request is forwarded to
+ * `target` and kept, minus the credentials.
+ *
+ *   var recorder = new Recorder();
+ *   recorder.listen(function () {
+ *     var api = recorder.client({ api_key: process.env.HUBSPOT_API_KEY });
+ *     api.deals_all({ limit: 10 }, function () {
+ *       recorder.save('test/fixtures/deals.json', done);
+ *     });
+ *   });
+ *
+ * Available options are:
+ *  - target   API to forward to. Defaults to `https://api.hubapi.com`.
+ *
+ * `hapikey` and `access_token` are dropped from the recorded query strings,
+ * and `refresh_token`, `client_secret`, `code` and the tokens are redacted
+ * from recorded bodies.
+ *
+ * @param options Recorder options
+ */
+function Recorder(options) {
+  options = options || {};
+
+  this.target = url.parse(options.target || 'https://api.hubapi.com');
+  this.interactions = [];
+  this.url = null;
+  this.server = http.createServer(this.handle.bind(this));
+}
+
+/**
+ * Starts the proxy on a local port.
+ *
+ * @param port Optional port, a free one is picked by default
+ * @param callback Called with the base URL of the proxy
+ */
+Recorder.prototype.listen = function (port, callback) {
+  var self = this;
+
+  if (typeof port === 'function') {
+    callback = port;
+    port = 0;
+  }
+
+  serverHttp.listen(this.server, port, function (error, baseUrl) {
+    self.url = baseUrl;
+    callback(error, baseUrl);
+  });
+};
+
+Recorder.prototype.close = function (callback) {
+  this.server.close(callback);
+};
+
+/**
+ * Creates a client recording through the proxy. Call once it listens.
+ *
+ * @param options Client options, with real credentials
+ * @return Instance of {@link hubspotAPI}
+ */
+Recorder.prototype.client = function (options) {
+  return serverHttp.client(this.url, options);
+};
+
+/**
+ * Writes the recorded interactions to a fixture file.
+ *
+ * @param file Path of the JSON file
+ * @param callback
+ */
+Recorder.prototype.save = function (file, callback) {
+  fs.writeFile(file, JSON.stringify({ interactions: this.interactions }, null, 2) + '\n', callback);
+};
+
+Recorder.prototype.handle = function (req, res) {
+  var self = this;
+  var parsed = url.parse(req.url, true);
+  var transport = this.target.protocol === 'http:' ? http : https;
+
+  serverHttp.readBody(req, function (body) {
+    var headers = _.omit(req.headers, ['host', 'accept-encoding', 'content-length']);
+
+    if (body.raw) {
+      headers['content-length'] = Buffer.byteLength(body.raw);
+    }
+
+    var forwarded = transport.request({
+      protocol: self.target.protocol,
+      hostname: self.target.hostname,
+      port: self.target.port,
+      method: req.method,
+      path: (self.target.pathname || '').replace(/\/$/, '') + req.url,
+      headers: headers
+    }, function (response) {
+      var chunks = [];
+
+      response.on('data', function (chunk) {
+        chunks.push(chunk);
+      });
+      response.on('end', function () {
+        var raw = Buffer.concat(chunks).toString('utf8');
+
+        self.interactions.push({
+          request: {
+            method: req.method,
+            path: parsed.pathname.replace(/^\/+/, ''),
+            query: _.omit(parsed.query, CREDENTIALS),
+            body: helpers.redact(body.parsed)
+          },
+          response: {
+            status: response.statusCode,
+            headers: _.pick(response.headers, function (value, name) {
+              return RECORDED_HEADERS.test(name);
+            }),
+            body: helpers.redact(parseJson(raw))
+          }
+        });
+
+        res.writeHead(response.statusCode, _.omit(response.headers, ['content-length', 'transfer-encoding', 'connection']));
+        res.end(raw);
+      });
+    });
+
+    forwarded.on('error', function (error) {
+      serverHttp.send(req, res, 502, { status: 'error', message: 'Recorder could not reach ' + self.target.host + ': ' + error.message });
+    });
+
+    forwarded.end(body.raw);
+  });
+};
+
+/**
+ * Answers requests with the interactions of a fixture, for offline tests
+ * against recorded API responses. Requests are matched by method, path,
+ * query and body, credentials ignored; each interaction is used once, in
+ * the order recorded, and the last matching one is repeated after that.
+ * Requests without a recorded interaction are answered with a 501.
+ *
+ * Available options are:
+ *  - gzip   Gzip response bodies when the client accepts it
+ *
+ * @param fixture Path of a fixture file, or the `{interactions}` it holds
+ * @param options Replayer options
+ */
+function Replayer(fixture, options) {
+  options = options || {};
+
+  if (typeof fixture === 'string') {
+    fixture = JSON.parse(fs.readFileSync(fixture, 'utf8'));
+  }
+
+  this.interactions = fixture.interactions || [];
+  this.used = [];
+  this.gzip = !!options.gzip;
+  this.url = null;
+  this.server = http.createServer(this.handle.bind(this));
+}
+
+Replayer.prototype.listen = Recorder.prototype.listen;
+Replayer.prototype.close = Recorder.prototype.close;
+
+/**
+ * Creates a client replaying from the fixture. Call once it listens.
+ *
+ * @param options Client options, `api_key` defaults to a placeholder
+ * @return Instance of {@link hubspotAPI}
+ */
+Replayer.prototype.client = function (options) {
+  return serverHttp.client(this.url, _.assign({ api_key: 'replay-api-key' }, options));
+};
+
+/**
+ * @return The interactions of the fixture no request asked for yet
+ */
+Replayer.prototype.pending = function () {
+  var used = this.used;
+
+  return this.interactions.filter(function (interaction, index) {
+    return used.indexOf(index) === -1;
+  });
+};
+
+Replayer.prototype.handle = function (req, res) {
+  var self = this;
+  var parsed = url.parse(req.url, true);
+  var request = {
+    method: req.method,
+    path: parsed.pathname.replace(/^\/+/, ''),
+    query: _.omit(parsed.query, CREDENTIALS)
+  };
+
+  serverHttp.readBody(req, function (body) {
+    request.body = helpers.redact(body.parsed);
+
+    var index = self.find(request);
+    if (index === -1) {
+      return serverHttp.send(req, res, 501, {
+        status: 'error',
+        message: 'No recorded interaction for ' + request.method + ' ' + request.path + helpers.queryString(request.query)
+      });
+    }
+
+    if (self.used.indexOf(index) === -1) {
+      self.used.push(index);
+    }
+
+    var response = self.interactions[index].response;
+    serverHttp.send(req, res, response.status, response.body, _.clone(response.headers), self.gzip);
+  });
+};
+
+Replayer.prototype.find = function (request) {
+  var used = this.used;
+  var matching = [];
+
+  this.interactions.forEach(function (interaction, index) {
+    var recorded = interaction.request;
+
+    if (recorded.method === request.method && recorded.path === request.path &&
+        _.isEqual(recorded.query, request.query) && _.isEqual(recorded.body, request.body)) {
+      matching.push(index);
+    }
+  });
+
+  var unused = _.find(matching, function (index) {
+    return used.indexOf(index) === -1;
+  });
+
+  return unused !== undefined ? unused : matching.length ? matching[matching.length - 1] : -1;
+};
+
+function parseJson(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return raw || undefined;
+  }
+}
+
+exports.Recorder = Recorder;
+exports.Replayer = Replayer;
@@ -0,0 +1,100 @@
+var qs = require('querystring');
+var zlib = require('zlib');
+
+/**
+ * Bits shared by the in-process servers of this directory.
+ */
+
+/**
+ * Starts an `http.Server` on a local port.
+ *
+ * @param server The http.Server
+ * @param port Port to listen on, `0` (the default) picks a free one
+ * @param callback Called with the base URL to point `httpUri` at
+ */
+exports.listen = function listen(server, port, callback) {
+  if (typeof port === 'function') {
+    callback = port;
+    port = 0;
+  }
+
+  server.once('error', callback);
+  server.listen(port || 0, '127.0.0.1', function () {
+    server.removeListener('error', callback);
+    callback(null, 'http://127.0.0.1:' + server.address().port);
+  });
+};
+
+/**
+ * Creates a client sending its requests to one of the servers.
+ *
+ * @param baseUrl Base URL of the server
+ * @param options Client options
+ * @return Instance of {@link hubspotAPI}
+ */
+exports.client = function client(baseUrl, options) {
+  var hubspotAPI = require('../hubspot');
+  var api = new hubspotAPI(options);
+
+  api.httpUri = baseUrl;
+  api.formsUri = baseUrl;
+  return api;
+};
+
+/**
+ * Reads a request body, parsing it as JSON or form params where possible.
+ *
+ * @param req The incoming request
+ * @param callback Called with {raw, parsed}
+ */
+exports.readBody = function readBody(req, callback) {
+  var chunks = [];
+
+  req.on('data', function (chunk) {
+    chunks.push(chunk);
+  });
+  req.on('end', function () {
+    var raw = Buffer.concat(chunks).toString('utf8');
+    callback({ raw: raw, parsed: parseBody(raw, req.headers['content-type']) });
+  });
+};
+
+/**
+ * Sends a JSON (or raw string) response, gzipped when asked to and the
+ * client accepts it.
+ */
+exports.send = function send(req, res, status, body, headers, gzip) {
+  var payload = body === undefined ? '' : typeof body === 'string' ? body : JSON.stringify(body);
+
+  headers = headers || {};
+  if (payload && !headers['Content-Type']) {
+    headers['Content-Type'] = 'application/json;charset=utf-8';
+  }
+
+  if (!gzip || !payload || String(req.headers['accept-encoding']).indexOf('gzip') === -1) {
+    res.writeHead(status, headers);
+    return res.end(payload);
+  }
+
+  zlib.gzip(payload, function (error, zipped) {
+    headers['Content-Encoding'] = 'gzip';
+    res.writeHead(status, headers);
+    res.end(zipped);
+  });
+};
+
+function parseBody(raw, contentType) {
+  if (!raw) {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    if (String(contentType).indexOf('x-www-form-urlencoded') !== -1) {
+      return qs.parse(raw);
+    }
+
+    return raw;
+  }
+}
@@ -0,0 +1,11 @@
+/**
+ * Offline stand-ins for the hubspot API, for testing code using the client:
+ * a simulated portal ({@link MockServer}) and the record/replay of real
+ * interactions ({@link Recorder}, {@link Replayer}).
+ */
+
+var fixtures = require('./fixtures');
+
+exports.MockServer = require('./mock');
+exports.Recorder = fixtures.Recorder;
+exports.Replayer = fixtures.Replayer;
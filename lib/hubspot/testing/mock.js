@@ -0,0 +1,1207 @@
+var http = require('http');
+var url = require('url');
+var _ = require('lodash');
+var serverHttp = require('./http');
+
+/**
+ * In-process stand-in for the hubspot API, simulating contacts, contact
+ * lists, companies, deals and workflows with the response shapes, pagination
+ * and errors of the real endpoints. Point a client at it by overriding
+ * `httpUri`, or let {@link MockServer#client} do it:
+ *
+ *   var server = new MockServer({ gzip: true });
+ *   server.seed({ contacts: [{ email: 'jane@example.com', firstname: 'Jane' }] });
+ *   server.listen(function (error) {
+ *     var api = server.client();
+ *     api.all_contacts({ count: 10 }, function (error, page) { ... });
+ *   });
+ *
+ * Available options are:
+ *  - apiKey    Only accept this `hapikey`. Any key or access token is accepted by default.
+ *  - gzip      Gzip response bodies when the client accepts it
+ *  - portalId  Portal id of the records. Defaults to 62515.
+ *  - now       Function returning the current time in ms, for deterministic timestamps
+ *
+ * Every request is kept in `requests` as {method, path, query, body}.
+ * OAuth tokens are handed out by `oauth/v1/token` for any app credentials,
+ * and accepted until {@link MockServer#expireAccessToken} is called.
+ *
+ * @param options Mock server options
+ */
+function MockServer(options) {
+  options = options || {};
+
+  this.apiKey = options.apiKey;
+  this.gzip = !!options.gzip;
+  this.portalId = options.portalId || 62515;
+  this.now = options.now || Date.now;
+  this.url = null;
+  this.server = http.createServer(this.handle.bind(this));
+
+  this.reset();
+}
+
+module.exports = MockServer;
+
+/**
+ * Starts the server on a local port.
+ *
+ * @param port Optional port, a free one is picked by default
+ * @param callback Called with the base URL of the server
+ */
+MockServer.prototype.listen = function (port, callback) {
+  var self = this;
+
+  if (typeof port === 'function') {
+    callback = port;
+    port = 0;
+  }
+
+  serverHttp.listen(this.server, port, function (error, baseUrl) {
+    self.url = baseUrl;
+    callback(error, baseUrl);
+  });
+};
+
+MockServer.prototype.close = function (callback) {
+  this.server.close(callback);
+};
+
+/**
+ * Creates a client talking to the server. Call once the server listens.
+ *
+ * @param options Client options, `api_key` defaults to the server's
+ * @return Instance of {@link hubspotAPI}
+ */
+MockServer.prototype.client = function (options) {
+  return serverHttp.client(this.url, _.assign({ api_key: this.apiKey || 'mock-api-key' }, options));
+};
+
+/**
+ * Drops all records, custom properties, faults and recorded requests.
+ */
+MockServer.prototype.reset = function () {
+  this.contacts = {};
+  this.companies = {};
+  this.deals = {};
+  this.lists = {};
+  this.workflows = {};
+  this.workflowEvents = [];
+  this.properties = {
+    contacts: definedProperties(CONTACT_PROPERTIES),
+    companies: definedProperties(COMPANY_PROPERTIES),
+    deals: definedProperties(DEAL_PROPERTIES)
+  };
+  this.propertyGroups = _.mapValues(this.properties, definedGroups);
+  this.faults = [];
+  this.requests = [];
+  this.expiredTokens = {};
+  this.nextId = 1;
+  this.nextToken = 1;
+  this.nextCorrelationId = 1;
+};
+
+/**
+ * Adds records. Contacts, companies and deals are given as plain property
+ * values, e.g. `{email, firstname}`, lists as `{name, dynamic, vids}` and
+ * workflows as `{name, type, enabled}`.
+ *
+ * @param data {contacts, companies, deals, lists, workflows}
+ * @return The created records, in wire format
+ */
+MockServer.prototype.seed = function (data) {
+  var self = this;
+
+  return {
+    contacts: (data.contacts || []).map(function (values) {
+      return self.createContact(values);
+    }),
+    companies: (data.companies || []).map(function (values) {
+      return self.createRecord('companies', 'companyId', values);
+    }),
+    deals: (data.deals || []).map(function (values) {
+      return self.createDeal(values);
+    }),
+    lists: (data.lists || []).map(function (values) {
+      return self.createList(values);
+    }),
+    workflows: (data.workflows || []).map(function (values) {
+      return self.createWorkflow(values);
+    })
+  };
+};
+
+/**
+ * Answers the next matching requests with an error instead.
+ *
+ * @param fault {method, path (string contained in the path or RegExp), status,
+ *              body, headers, times (defaults to 1)}
+ */
+MockServer.prototype.fail = function (fault) {
+  this.faults.push(_.assign({ status: 500 }, fault, { times: fault.times === undefined ? 1 : fault.times }));
+  return this;
+};
+
+/**
+ * Answers the next matching requests with a 429 as sent by HubSpot.
+ *
+ * @param options {method, path, times, policyName (SECONDLY or DAILY), retryAfter (s)}
+ */
+MockServer.prototype.rateLimit = function (options) {
+  options = options || {};
+
+  var policyName = options.policyName || 'SECONDLY';
+  var headers = {
+    'X-HubSpot-RateLimit-Daily': '250000',
+    'X-HubSpot-RateLimit-Daily-Remaining': policyName === 'DAILY' ? '0' : '249000',
+    'X-HubSpot-RateLimit-Secondly': '10',
+    'X-HubSpot-RateLimit-Secondly-Remaining': '0'
+  };
+
+  if (options.retryAfter !== undefined) {
+    headers['Retry-After'] = String(options.retryAfter);
+  }
+
+  return this.fail({
+    method: options.method,
+    path: options.path,
+    times: options.times,
+    status: 429,
+    headers: headers,
+    body: {
+      status: 'error',
+      message: 'You have reached your ' + policyName.toLowerCase() + ' limit.',
+      errorType: 'RATE_LIMIT',
+      policyName: policyName,
+      correlationId: this.correlationId()
+    }
+  });
+};
+
+MockServer.prototype.handle = function (req, res) {
+  var self = this;
+  var parsed = url.parse(req.url, true);
+  var path = parsed.pathname.replace(/^\/+/, '');
+  var query = parsed.query;
+
+  serverHttp.readBody(req, function (body) {
+    var request = {
+      method: req.method,
+      path: path,
+      query: _.omit(query, ['hapikey', 'access_token']),
+      body: body.parsed
+    };
+
+    self.requests.push(request);
+
+    // Tokens are requested with the app's credentials instead
+    var reply = (path === TOKEN_PATH ? null : self.checkAuth(query)) || self.takeFault(request) || self.route(request);
+    serverHttp.send(req, res, reply.status, reply.body, reply.headers, self.gzip);
+  });
+};
+
+/**
+ * Rejects an OAuth access token from now on, as HubSpot does once it expired.
+ *
+ * @param accessToken The access token
+ */
+MockServer.prototype.expireAccessToken = function (accessToken) {
+  this.expiredTokens[accessToken] = true;
+  return this;
+};
+
+MockServer.prototype.checkAuth = function (query) {
+  if (query.access_token && this.expiredTokens[query.access_token]) {
+    return this.error(401, 'The OAuth token used to make this call expired', {
+      category: 'EXPIRED_AUTHENTICATION'
+    });
+  }
+
+  var authorized = this.apiKey ? query.hapikey === this.apiKey : query.hapikey || query.access_token;
+
+  if (authorized) {
+    return null;
+  }
+
+  return this.error(401, 'Any of the listed authentication credentials are missing', {
+    category: 'INVALID_AUTHENTICATION'
+  });
+};
+
+MockServer.prototype.takeFault = function (request) {
+  var fault = _.find(this.faults, function (fault) {
+    return fault.times > 0 &&
+      (!fault.method || fault.method.toUpperCase() === request.method) &&
+      (!fault.path || (fault.path instanceof RegExp ? fault.path.test(request.path) : request.path.indexOf(fault.path) !== -1));
+  });
+
+  if (!fault) {
+    return null;
+  }
+
+  fault.times--;
+
+  return {
+    status: fault.status,
+    headers: _.clone(fault.headers || {}),
+    body: fault.body !== undefined ? fault.body : { status: 'error', message: 'Simulated failure', correlationId: this.correlationId() }
+  };
+};
+
+MockServer.prototype.route = function (request) {
+  for (var i = 0; i < routes.length; i++) {
+    var candidate = routes[i];
+    var match = candidate.verb === request.method && candidate.pattern.exec(request.path);
+
+    if (match) {
+      request.params = _.object(candidate.names, match.slice(1).map(decodeURIComponent));
+      return candidate.handler.call(this, request) || { status: 204 };
+    }
+  }
+
+  return this.error(404, 'resource not found');
+};
+
+MockServer.prototype.error = function (status, message, details) {
+  var correlationId = this.correlationId();
+
+  return {
+    status: status,
+    body: _.assign({
+      status: 'error',
+      message: message,
+      correlationId: correlationId,
+      requestId: correlationId
+    }, details)
+  };
+};
+
+MockServer.prototype.correlationId = function () {
+  return 'mock-' + (this.nextCorrelationId++);
+};
+
+/*****************************************************************************/
+/************************* Records *******************************************/
+/*****************************************************************************/
+
+MockServer.prototype.wireProperties = function (values) {
+  var timestamp = this.now();
+
+  return _.mapValues(values, function (value) {
+    value = value === undefined || value === null ? '' : String(value);
+
+    return {
+      value: value,
+      timestamp: timestamp,
+      source: 'API',
+      sourceId: null,
+      versions: [{ value: value, timestamp: timestamp, source: 'API' }]
+    };
+  });
+};
+
+MockServer.prototype.createRecord = function (collection, idField, values) {
+  var record = {
+    portalId: this.portalId,
+    isDeleted: false,
+    properties: this.wireProperties(_.assign({ createdate: this.now(), hs_lastmodifieddate: this.now() }, values))
+  };
+
+  record[idField] = this.nextId++;
+  this[collection][record[idField]] = record;
+  return record;
+};
+
+MockServer.prototype.createContact = function (values) {
+  var vid = this.nextId++;
+  var contact = {
+    vid: vid,
+    'canonical-vid': vid,
+    'portal-id': this.portalId,
+    'is-contact': true,
+    properties: this.wireProperties(_.assign({ createdate: this.now(), lastmodifieddate: this.now() }, values)),
+    'identity-profiles': [{
+      vid: vid,
+      identities: values.email ? [{ type: 'EMAIL', value: values.email }] : []
+    }]
+  };
+
+  this.contacts[vid] = contact;
+  return contact;
+};
+
+MockServer.prototype.createDeal = function (values, associations) {
+  var deal = this.createRecord('deals', 'dealId', values);
+
+  deal.associations = _.assign({
+    associatedVids: [],
+    associatedCompanyIds: [],
+    associatedDealIds: []
+  }, associations);
+
+  return deal;
+};
+
+MockServer.prototype.createList = function (values) {
+  var listId = this.nextId++;
+  var list = {
+    listId: listId,
+    portalId: this.portalId,
+    name: values.name,
+    dynamic: !!values.dynamic,
+    filters: values.filters || [],
+    createdAt: this.now(),
+    updatedAt: this.now(),
+    vids: [].concat(values.vids || [])
+  };
+
+  this.lists[listId] = list;
+  return list;
+};
+
+MockServer.prototype.createWorkflow = function (values) {
+  var id = this.nextId++;
+  var workflow = _.assign({}, values, {
+    id: id,
+    portalId: this.portalId,
+    enabled: !!values.enabled,
+    insertedAt: this.now(),
+    updatedAt: this.now(),
+    vids: []
+  });
+
+  this.workflows[id] = workflow;
+  return workflow;
+};
+
+/**
+ * Enrolls a contact in a workflow or unenrolls it, logging the event.
+ */
+MockServer.prototype.enroll = function (workflow, email, enrolling) {
+  var contact = this.contactByEmail(email);
+
+  if (!contact) {
+    return this.error(404, 'contact does not exist');
+  }
+
+  var enrolled = workflow.vids.indexOf(contact.vid) !== -1;
+  if (enrolled === enrolling) {
+    return;
+  }
+
+  workflow.vids = enrolling ? workflow.vids.concat(contact.vid) : _.without(workflow.vids, contact.vid);
+  this.workflowEvents.push({
+    type: enrolling ? 'ENROLLED' : 'UNENROLLED',
+    workflowId: workflow.id,
+    vid: contact.vid,
+    createdAt: this.now()
+  });
+};
+
+MockServer.prototype.updateProperties = function (record, values) {
+  var modified = {};
+
+  modified[record.vid ? 'lastmodifieddate' : 'hs_lastmodifieddate'] = this.now();
+  _.assign(record.properties, this.wireProperties(values), this.wireProperties(modified));
+};
+
+MockServer.prototype.contactByEmail = function (email) {
+  return _.find(this.contacts, function (contact) {
+    return contact.properties.email && contact.properties.email.value === email;
+  });
+};
+
+/**
+ * Picks the requested properties of records, as the `property` query param
+ * of the contact endpoints does. All properties are returned without it.
+ */
+function selectProperties(record, property) {
+  if (!property) {
+    return record;
+  }
+
+  return _.assign({}, record, { properties: _.pick(record.properties, [].concat(property)) });
+}
+
+function workflowView(workflow) {
+  return _.omit(workflow, 'vids');
+}
+
+function listView(list) {
+  return _.assign(_.omit(list, 'vids'), { metaData: { size: list.vids.length, processing: 'DONE' } });
+}
+
+/**
+ * Turns the `[{property, value}]` or `[{name, value}]` lists of writes into
+ * plain values.
+ */
+function fromWire(properties) {
+  var values = {};
+
+  (properties || []).forEach(function (property) {
+    values[property.property || property.name] = property.value;
+  });
+
+  return values;
+}
+
+/**
+ * A page of records ordered by id, starting after the id in `offset`.
+ */
+function pageById(records, idField, offset, count) {
+  var sorted = _.sortBy(_.values(records), idField).filter(function (record) {
+    return !offset || record[idField] > Number(offset);
+  });
+  var page = sorted.slice(0, count);
+
+  return {
+    items: page,
+    hasMore: sorted.length > page.length,
+    offset: page.length ? page[page.length - 1][idField] : Number(offset) || 0
+  };
+}
+
+/**
+ * Records sorted by modification time, newest first, as the recently
+ * modified endpoints list them.
+ */
+function newestFirst(records, idField, property) {
+  return _.values(records).sort(function (a, b) {
+    return Number(b.properties[property].value) - Number(a.properties[property].value) || b[idField] - a[idField];
+  });
+}
+
+/**
+ * A page of the recently modified companies or deals, which only page
+ * through the 10000 most recent records.
+ */
+function recentPage(server, records, idField, query) {
+  var limit = count(query.count, 100, 100);
+  var offset = Number(query.offset) || 0;
+
+  if (offset + limit > RECENT_WINDOW) {
+    return server.error(400, 'offset + count must be at most ' + RECENT_WINDOW, { category: 'VALIDATION_ERROR' });
+  }
+
+  var modified = newestFirst(records, idField, 'hs_lastmodifieddate').filter(function (record) {
+    return !query.since || Number(record.properties.hs_lastmodifieddate.value) >= Number(query.since);
+  });
+  var page = pageByIndex(modified, offset, limit);
+
+  return ok({ results: page.items, hasMore: page.hasMore, offset: page.offset, total: modified.length });
+}
+
+/**
+ * The properties HubSpot defines for every portal, which can't be deleted.
+ */
+function definedProperties(properties) {
+  return properties.map(function (property) {
+    return _.assign({ hubspotDefined: true }, property);
+  });
+}
+
+function definedGroups(properties) {
+  return _.uniq(_.pluck(properties, 'groupName')).map(function (name) {
+    return { name: name, displayName: name, hubspotDefined: true };
+  });
+}
+
+function createDefinition(server, definitions, definition) {
+  if (!definition.name) {
+    return server.error(400, 'name is required', { category: 'VALIDATION_ERROR' });
+  }
+
+  if (_.find(definitions, { name: definition.name })) {
+    return server.error(409, definition.name + ' already exists', { category: 'OBJECT_ALREADY_EXISTS' });
+  }
+
+  definitions.push(definition);
+  return ok(definition);
+}
+
+function updateDefinition(server, definitions, name, changes) {
+  var definition = _.find(definitions, { name: name });
+
+  if (!definition) {
+    return server.error(404, name + ' does not exist');
+  }
+
+  return ok(_.assign(definition, _.omit(changes || {}, 'name')));
+}
+
+function deleteDefinition(server, definitions, name) {
+  var index = _.findIndex(definitions, { name: name });
+
+  if (index === -1) {
+    return server.error(404, name + ' does not exist');
+  }
+
+  if (definitions[index].hubspotDefined) {
+    return server.error(400, name + ' is defined by HubSpot and can not be deleted', { category: 'VALIDATION_ERROR' });
+  }
+
+  definitions.splice(index, 1);
+}
+
+/**
+ * A page of items starting at the index in `offset`.
+ */
+function pageByIndex(items, offset, count) {
+  var start = Number(offset) || 0;
+  var page = items.slice(start, start + count);
+
+  return {
+    items: page,
+    hasMore: start + page.length < items.length,
+    offset: start + page.length
+  };
+}
+
+function count(value, fallback, max) {
+  return Math.min(Number(value) || fallback, max);
+}
+
+var EMAIL = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+var RECENT_WINDOW = 10000;
+
+var TOKEN_PATH = 'oauth/v1/token';
+
+var CONTACT_PROPERTIES = [
+  { name: 'email', label: 'Email', type: 'string', fieldType: 'text', groupName: 'contactinformation' },
+  { name: 'firstname', label: 'First Name', type: 'string', fieldType: 'text', groupName: 'contactinformation' },
+  { name: 'lastname', label: 'Last Name', type: 'string', fieldType: 'text', groupName: 'contactinformation' },
+  { name: 'createdate', label: 'Create Date', type: 'datetime', fieldType: 'date', groupName: 'contactinformation' },
+  { name: 'lastmodifieddate', label: 'Last Modified Date', type: 'datetime', fieldType: 'date', groupName: 'contactinformation' }
+];
+
+var COMPANY_PROPERTIES = [
+  { name: 'name', label: 'Name', type: 'string', fieldType: 'text', groupName: 'companyinformation' },
+  { name: 'domain', label: 'Company Domain Name', type: 'string', fieldType: 'text', groupName: 'companyinformation' },
+  { name: 'numberofemployees', label: 'Number of Employees', type: 'number', fieldType: 'number', groupName: 'companyinformation' },
+  { name: 'createdate', label: 'Create Date', type: 'datetime', fieldType: 'date', groupName: 'companyinformation' }
+];
+
+var DEAL_PROPERTIES = [
+  { name: 'dealname', label: 'Deal Name', type: 'string', fieldType: 'text', groupName: 'dealinformation' },
+  { name: 'amount', label: 'Amount', type: 'number', fieldType: 'number', groupName: 'dealinformation' },
+  { name: 'dealstage', label: 'Deal Stage', type: 'enumeration', fieldType: 'radio', groupName: 'dealinformation' },
+  { name: 'closedate', label: 'Close Date', type: 'datetime', fieldType: 'date', groupName: 'dealinformation' },
+  { name: 'createdate', label: 'Create Date', type: 'datetime', fieldType: 'date', groupName: 'dealinformation' }
+];
+
+var PIPELINES = [{
+  pipelineId: 'default',
+  label: 'Sales Pipeline',
+  active: true,
+  stages: [
+    { stageId: 'appointmentscheduled', label: 'Appointment Scheduled', probability: 0.2, closedWon: false, displayOrder: 0 },
+    { stageId: 'qualifiedtobuy', label: 'Qualified To Buy', probability: 0.4, closedWon: false, displayOrder: 1 },
+    { stageId: 'closedwon', label: 'Closed Won', probability: 1, closedWon: true, displayOrder: 2 },
+    { stageId: 'closedlost', label: 'Closed Lost', probability: 0, closedWon: false, displayOrder: 3 }
+  ]
+}];
+
+/*****************************************************************************/
+/************************* Routes ********************************************/
+/*****************************************************************************/
+
+var routes = [];
+
+/**
+ * Adds a route. `:name` segments of the path are handed to the handler in
+ * `request.params`. Handlers return {status, body, headers}, nothing for a 204.
+ */
+function route(verb, path, handler) {
+  var names = [];
+  var pattern = path.replace(/:(\w+)/g, function (match, name) {
+    names.push(name);
+    return '([^/]+)';
+  });
+
+  routes.push({
+    verb: verb,
+    pattern: new RegExp('^' + pattern + '/?$'),
+    names: names,
+    handler: handler
+  });
+}
+
+function ok(body) {
+  return { status: 200, body: body };
+}
+
+// OAuth
+
+route('POST', TOKEN_PATH, function (request) {
+  var body = request.body || {};
+  var grant = { authorization_code: 'code', refresh_token: 'refresh_token' }[body.grant_type];
+
+  if (!grant || !body[grant] || !body.client_id || !body.client_secret) {
+    return this.error(400, 'missing or invalid grant', { category: 'BAD_REQUEST' });
+  }
+
+  return ok({
+    access_token: 'mock-access-token-' + (this.nextToken++),
+    refresh_token: body.refresh_token || 'mock-refresh-token',
+    expires_in: 21600
+  });
+});
+
+// Contacts
+
+route('GET', 'contacts/v1/lists/all/contacts/all', function (request) {
+  var page = pageById(this.contacts, 'vid', request.query.vidOffset, count(request.query.count, 20, 100));
+
+  return ok({
+    contacts: page.items.map(function (contact) {
+      return selectProperties(contact, request.query.property);
+    }),
+    'has-more': page.hasMore,
+    'vid-offset': page.offset
+  });
+});
+
+route('GET', 'contacts/v1/lists/recently_updated/contacts/recent', function (request) {
+  var query = request.query;
+  var limit = count(query.count, 20, 100);
+  var modified = newestFirst(this.contacts, 'vid', 'lastmodifieddate').filter(function (contact) {
+    var time = Number(contact.properties.lastmodifieddate.value);
+
+    return !query.timeOffset || time < Number(query.timeOffset) ||
+      (time === Number(query.timeOffset) && contact.vid < Number(query.vidOffset));
+  });
+  var page = modified.slice(0, limit);
+  var last = page[page.length - 1];
+
+  return ok({
+    contacts: page.map(function (contact) {
+      return _.assign(selectProperties(contact, query.property), { addedAt: Number(contact.properties.lastmodifieddate.value) });
+    }),
+    'has-more': modified.length > page.length,
+    'vid-offset': last ? last.vid : Number(query.vidOffset) || 0,
+    'time-offset': last ? Number(last.properties.lastmodifieddate.value) : Number(query.timeOffset) || 0
+  });
+});
+
+route('GET', 'contacts/v1/contact/vid/:vid/profile', function (request) {
+  var contact = this.contacts[request.params.vid];
+  return contact ? ok(contact) : this.error(404, 'contact does not exist');
+});
+
+route('GET', 'contacts/v1/contact/email/:email/profile', function (request) {
+  var contact = this.contactByEmail(request.params.email);
+  return contact ? ok(contact) : this.error(404, 'contact does not exist');
+});
+
+route('GET', 'contacts/v1/contact/vids/batch', function (request) {
+  var self = this;
+
+  return ok(_.indexBy(_.compact([].concat(request.query.vid || []).map(function (vid) {
+    return self.contacts[vid] && selectProperties(self.contacts[vid], request.query.property);
+  })), 'vid'));
+});
+
+route('GET', 'contacts/v1/contact/emails/batch', function (request) {
+  var self = this;
+
+  return ok(_.indexBy(_.compact([].concat(request.query.email || []).map(function (email) {
+    return self.contactByEmail(email);
+  })), 'vid'));
+});
+
+route('POST', 'contacts/v1/contact', function (request) {
+  var values = fromWire(request.body && request.body.properties);
+  var existing = values.email && this.contactByEmail(values.email);
+
+  if (values.email && !EMAIL.test(values.email)) {
+    return this.error(400, 'Property values were not valid', {
+      category: 'VALIDATION_ERROR',
+      validationResults: [{
+        isValid: false,
+        message: 'Email address ' + values.email + ' is invalid',
+        error: 'INVALID_EMAIL',
+        name: 'email'
+      }]
+    });
+  }
+
+  if (existing) {
+    return this.error(409, 'Contact already exists', {
+      identityProfile: { vid: existing.vid }
+    });
+  }
+
+  return ok(this.createContact(values));
+});
+
+route('POST', 'contacts/v1/contact/createOrUpdate/email/:email', function (request) {
+  var values = _.assign(fromWire(request.body && request.body.properties), { email: request.params.email });
+  var existing = this.contactByEmail(request.params.email);
+
+  if (existing) {
+    this.updateProperties(existing, values);
+    return ok({ vid: existing.vid, isNew: false });
+  }
+
+  return ok({ vid: this.createContact(values).vid, isNew: true });
+});
+
+route('POST', 'contacts/v1/contact/vid/:vid/profile', function (request) {
+  var contact = this.contacts[request.params.vid];
+
+  if (!contact) {
+    return this.error(404, 'contact does not exist');
+  }
+
+  this.updateProperties(contact, fromWire(request.body && request.body.properties));
+});
+
+route('POST', 'contacts/v1/contact/batch', function (request) {
+  var self = this;
+
+  [].concat(request.body || []).forEach(function (item) {
+    var values = fromWire(item.properties);
+    var contact = item.vid ? self.contacts[item.vid] : self.contactByEmail(item.email);
+
+    if (contact) {
+      self.updateProperties(contact, values);
+    } else {
+      self.createContact(_.assign({ email: item.email }, values));
+    }
+  });
+});
+
+route('DELETE', 'contacts/v1/contact/vid/:vid', function (request) {
+  var vid = Number(request.params.vid);
+
+  if (!this.contacts[vid]) {
+    return this.error(404, 'contact does not exist');
+  }
+
+  delete this.contacts[vid];
+  return ok({ vid: vid, deleted: true, reason: 'OK' });
+});
+
+route('GET', 'contacts/v1/search/query', function (request) {
+  var q = String(request.query.q || '').toLowerCase();
+  var matches = _.sortBy(_.values(this.contacts), 'vid').filter(function (contact) {
+    return _.some(contact.properties, function (property) {
+      return String(property.value).toLowerCase().indexOf(q) !== -1;
+    });
+  });
+  var page = pageByIndex(matches, request.query.offset, count(request.query.count, 20, 100));
+
+  return ok({
+    query: request.query.q,
+    contacts: page.items,
+    'has-more': page.hasMore,
+    offset: page.offset,
+    total: matches.length
+  });
+});
+
+route('GET', 'contacts/v1/properties', function () {
+  return ok(this.properties.contacts);
+});
+
+// Contact lists
+
+route('GET', 'contacts/v1/lists', function (request) {
+  var page = pageByIndex(_.sortBy(_.values(this.lists), 'listId'), request.query.offset, count(request.query.count, 20, 250));
+
+  return ok({
+    lists: page.items.map(listView),
+    'has-more': page.hasMore,
+    offset: page.offset
+  });
+});
+
+route('POST', 'contacts/v1/lists', function (request) {
+  var body = request.body || {};
+
+  if (!body.name) {
+    return this.error(400, 'name is required', { category: 'VALIDATION_ERROR' });
+  }
+
+  return ok(listView(this.createList(body)));
+});
+
+route('GET', 'contacts/v1/lists/:listId', function (request) {
+  var list = this.lists[request.params.listId];
+  return list ? ok(listView(list)) : this.error(404, 'list does not exist');
+});
+
+route('DELETE', 'contacts/v1/lists/:listId', function (request) {
+  if (!this.lists[request.params.listId]) {
+    return this.error(404, 'list does not exist');
+  }
+
+  delete this.lists[request.params.listId];
+});
+
+route('GET', 'contacts/v1/lists/:listId/contacts/all', function (request) {
+  var list = this.lists[request.params.listId];
+
+  if (!list) {
+    return this.error(404, 'list does not exist');
+  }
+
+  var members = _.pick(this.contacts, list.vids);
+  var page = pageById(members, 'vid', request.query.vidOffset, count(request.query.count, 20, 100));
+
+  return ok({
+    contacts: page.items.map(function (contact) {
+      return selectProperties(contact, request.query.property);
+    }),
+    'has-more': page.hasMore,
+    'vid-offset': page.offset
+  });
+});
+
+_.forEach({ add: true, remove: false }, function (adding, action) {
+  route('POST', 'contacts/v1/lists/:listId/' + action, function (request) {
+    var self = this;
+    var list = this.lists[request.params.listId];
+    var body = request.body || {};
+    var result = { updated: [], discarded: [], invalidVids: [], invalidEmails: [] };
+
+    if (!list) {
+      return this.error(404, 'list does not exist');
+    }
+
+    if (list.dynamic) {
+      return this.error(400, 'Can not operate manually on a dynamic list', { category: 'VALIDATION_ERROR' });
+    }
+
+    var vids = [].concat(body.vids || []);
+
+    (body.emails || []).forEach(function (email) {
+      var contact = self.contactByEmail(email);
+
+      if (contact) {
+        vids.push(contact.vid);
+      } else {
+        result.invalidEmails.push(email);
+      }
+    });
+
+    vids.forEach(function (vid) {
+      vid = Number(vid);
+
+      if (!self.contacts[vid]) {
+        return result.invalidVids.push(vid);
+      }
+
+      var member = list.vids.indexOf(vid) !== -1;
+      if (member === adding) {
+        return result.discarded.push(vid);
+      }
+
+      list.vids = adding ? list.vids.concat(vid) : _.without(list.vids, vid);
+      result.updated.push(vid);
+    });
+
+    list.updatedAt = this.now();
+    return ok(result);
+  });
+});
+
+// Workflows
+
+route('GET', 'automation/v2/workflows', function () {
+  return ok({ workflows: _.sortBy(_.values(this.workflows), 'id').map(workflowView) });
+});
+
+route('GET', 'automation/v3/workflows/:workflowId', function (request) {
+  var workflow = this.workflows[request.params.workflowId];
+  return workflow ? ok(workflowView(workflow)) : this.error(404, 'workflow does not exist');
+});
+
+route('POST', 'automation/v3/workflows', function (request) {
+  var body = request.body || {};
+
+  if (!body.name || !body.type) {
+    return this.error(400, 'name and type are required', { category: 'VALIDATION_ERROR' });
+  }
+
+  return ok(workflowView(this.createWorkflow(body)));
+});
+
+route('DELETE', 'automation/v3/workflows/:workflowId', function (request) {
+  if (!this.workflows[request.params.workflowId]) {
+    return this.error(404, 'workflow does not exist');
+  }
+
+  delete this.workflows[request.params.workflowId];
+});
+
+_.forEach({ POST: true, DELETE: false }, function (enrolling, verb) {
+  route(verb, 'automation/v2/workflows/:workflowId/enrollments/contacts/:email', function (request) {
+    var workflow = this.workflows[request.params.workflowId];
+    return workflow ? this.enroll(workflow, request.params.email, enrolling) : this.error(404, 'workflow does not exist');
+  });
+});
+
+route('GET', 'automation/v2/workflows/enrollments/contacts/:vid', function (request) {
+  var vid = Number(request.params.vid);
+
+  if (!this.contacts[vid]) {
+    return this.error(404, 'contact does not exist');
+  }
+
+  return ok(_.filter(this.workflows, function (workflow) {
+    return workflow.vids.indexOf(vid) !== -1;
+  }).map(function (workflow) {
+    return { id: workflow.id, name: workflow.name };
+  }));
+});
+
+route('PUT', 'automation/v3/logevents/workflows/:workflowId/filter', function (request) {
+  var workflowId = Number(request.params.workflowId);
+  var body = request.body || {};
+
+  if (!this.workflows[workflowId]) {
+    return this.error(404, 'workflow does not exist');
+  }
+
+  return ok(this.workflowEvents.filter(function (event) {
+    return event.workflowId === workflowId &&
+      (!body.types || body.types.indexOf(event.type) !== -1) &&
+      (!body.vids || body.vids.indexOf(event.vid) !== -1);
+  }));
+});
+
+// Companies
+
+route('GET', 'companies/v2/companies/paged', function (request) {
+  var page = pageById(this.companies, 'companyId', request.query.offset, count(request.query.limit, 100, 250));
+
+  return ok({
+    companies: page.items.map(function (company) {
+      return selectProperties(company, request.query.properties);
+    }),
+    'has-more': page.hasMore,
+    offset: page.offset
+  });
+});
+
+route('GET', 'companies/v2/companies/recent/modified', function (request) {
+  return recentPage(this, this.companies, 'companyId', request.query);
+});
+
+route('POST', 'companies/v2/companies', function (request) {
+  return ok(this.createRecord('companies', 'companyId', fromWire(request.body && request.body.properties)));
+});
+
+route('GET', 'companies/v2/companies/:companyId', function (request) {
+  var company = this.companies[request.params.companyId];
+  return company ? ok(company) : this.error(404, 'company does not exist');
+});
+
+route('PUT', 'companies/v2/companies/:companyId', function (request) {
+  var company = this.companies[request.params.companyId];
+
+  if (!company) {
+    return this.error(404, 'company does not exist');
+  }
+
+  this.updateProperties(company, fromWire(request.body && request.body.properties));
+  return ok(company);
+});
+
+route('DELETE', 'companies/v2/companies/:companyId', function (request) {
+  var companyId = Number(request.params.companyId);
+
+  if (!this.companies[companyId]) {
+    return this.error(404, 'company does not exist');
+  }
+
+  delete this.companies[companyId];
+  return ok({ companyId: companyId, deleted: true });
+});
+
+route('PUT', 'companies/v2/companies/:companyId/contacts/:vid', function (request) {
+  var company = this.companies[request.params.companyId];
+  var contact = this.contacts[request.params.vid];
+
+  if (!company || !contact) {
+    return this.error(404, company ? 'contact does not exist' : 'company does not exist');
+  }
+
+  this.updateProperties(contact, { associatedcompanyid: company.companyId });
+});
+
+route('DELETE', 'companies/v2/companies/:companyId/contacts/:vid', function (request) {
+  var company = this.companies[request.params.companyId];
+  var contact = this.contacts[request.params.vid];
+
+  if (!company || !contact) {
+    return this.error(404, company ? 'contact does not exist' : 'company does not exist');
+  }
+
+  this.updateProperties(contact, { associatedcompanyid: '' });
+});
+
+route('POST', 'companies/v2/domains/:domain/companies', function (request) {
+  var body = request.body || {};
+  var domain = request.params.domain.toLowerCase();
+  var matching = _.pick(this.companies, function (company) {
+    return company.properties.domain && company.properties.domain.value.toLowerCase() === domain;
+  });
+  var page = pageById(matching, 'companyId', body.offset && body.offset.companyId, count(body.limit, 100, 100));
+  var properties = body.requestOptions && body.requestOptions.properties;
+
+  return ok({
+    results: page.items.map(function (company) {
+      return selectProperties(company, properties);
+    }),
+    hasMore: page.hasMore,
+    offset: { companyId: page.offset, isPrimary: true }
+  });
+});
+
+route('GET', 'companies/v2/companies/:companyId/vids', function (request) {
+  var companyId = String(request.params.companyId);
+  var members = _.pick(this.contacts, function (contact) {
+    return contact.properties.associatedcompanyid && contact.properties.associatedcompanyid.value === companyId;
+  });
+  var page = pageById(members, 'vid', request.query.vidOffset, count(request.query.count, 100, 100));
+
+  return ok({
+    vids: _.pluck(page.items, 'vid'),
+    hasMore: page.hasMore,
+    vidOffset: page.offset
+  });
+});
+
+route('GET', 'companies/v1/properties', function () {
+  return ok(this.properties.companies);
+});
+
+// Deals
+
+route('GET', 'deals/v1/deal/paged', function (request) {
+  var page = pageById(this.deals, 'dealId', request.query.offset, count(request.query.limit, 100, 250));
+  var includeAssociations = request.query.includeAssociations === 'true';
+
+  return ok({
+    deals: page.items.map(function (deal) {
+      deal = selectProperties(deal, request.query.properties);
+      return includeAssociations ? deal : _.omit(deal, 'associations');
+    }),
+    hasMore: page.hasMore,
+    offset: page.offset
+  });
+});
+
+route('GET', 'deals/v1/deal/recent/modified', function (request) {
+  return recentPage(this, this.deals, 'dealId', request.query);
+});
+
+route('POST', 'deals/v1/deal', function (request) {
+  var body = request.body || {};
+  return ok(this.createDeal(fromWire(body.properties), body.associations));
+});
+
+route('GET', 'deals/v1/deal/:dealId', function (request) {
+  var deal = this.deals[request.params.dealId];
+  return deal ? ok(deal) : this.error(404, 'Deal does not exist');
+});
+
+route('PUT', 'deals/v1/deal/:dealId', function (request) {
+  var deal = this.deals[request.params.dealId];
+
+  if (!deal) {
+    return this.error(404, 'Deal does not exist');
+  }
+
+  this.updateProperties(deal, fromWire(request.body && request.body.properties));
+  return ok(deal);
+});
+
+route('DELETE', 'deals/v1/deal/:dealId', function (request) {
+  if (!this.deals[request.params.dealId]) {
+    return this.error(404, 'Deal does not exist');
+  }
+
+  delete this.deals[request.params.dealId];
+});
+
+_.forEach({ PUT: true, DELETE: false }, function (associating, verb) {
+  route(verb, 'deals/v1/deal/:dealId/associations/:objectType', function (request) {
+    var deal = this.deals[request.params.dealId];
+    var field = { CONTACT: 'associatedVids', COMPANY: 'associatedCompanyIds' }[request.params.objectType];
+
+    if (!deal) {
+      return this.error(404, 'Deal does not exist');
+    }
+
+    if (!field) {
+      return this.error(400, 'Unknown object type ' + request.params.objectType, { category: 'VALIDATION_ERROR' });
+    }
+
+    var ids = [].concat(request.query.id || []).map(Number);
+    deal.associations[field] = associating ? _.union(deal.associations[field], ids) : _.difference(deal.associations[field], ids);
+  });
+});
+
+route('GET', 'deals/v1/properties', function () {
+  return ok(this.properties.deals);
+});
+
+route('GET', 'deals/v1/pipelines', function () {
+  return ok(PIPELINES);
+});
+
+route('GET', 'deals/v1/pipelines/:pipelineId', function (request) {
+  var pipeline = _.find(PIPELINES, { pipelineId: request.params.pipelineId });
+  return pipeline ? ok(pipeline) : this.error(404, 'Pipeline does not exist');
+});
+
+// Properties
+
+_.forEach({
+  contacts: { properties: 'contacts/v2/properties', groups: 'contacts/v2/groups' },
+  companies: { properties: 'companies/v2/properties', groups: 'companies/v2/groups' },
+  deals: { properties: 'properties/v1/deals/properties', groups: 'properties/v1/deals/groups' }
+}, function (paths, type) {
+  route('GET', paths.groups, function (request) {
+    var properties = this.properties[type];
+    var includeProperties = request.query.includeProperties === 'true';
+
+    return ok(this.propertyGroups[type].map(function (group) {
+      return includeProperties ? _.assign({}, group, { properties: _.filter(properties, { groupName: group.name }) }) : group;
+    }));
+  });
+
+  route('POST', paths.groups, function (request) {
+    return createDefinition(this, this.propertyGroups[type], _.clone(request.body || {}));
+  });
+
+  route('PUT', paths.groups + '/named/:name', function (request) {
+    return updateDefinition(this, this.propertyGroups[type], request.params.name, request.body);
+  });
+
+  route('DELETE', paths.groups + '/named/:name', function (request) {
+    return deleteDefinition(this, this.propertyGroups[type], request.params.name);
+  });
+
+  route('POST', paths.properties, function (request) {
+    var property = _.clone(request.body || {});
+
+    if (property.groupName && !_.find(this.propertyGroups[type], { name: property.groupName })) {
+      return this.error(400, 'property group ' + property.groupName + ' does not exist', { category: 'VALIDATION_ERROR' });
+    }
+
+    return createDefinition(this, this.properties[type], property);
+  });
+
+  route('PUT', paths.properties + '/named/:name', function (request) {
+    return updateDefinition(this, this.properties[type], request.params.name, request.body);
+  });
+
+  route('DELETE', paths.properties + '/named/:name', function (request) {
+    return deleteDefinition(this, this.properties[type], request.params.name);
+  });
+});
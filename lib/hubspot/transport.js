@@ -0,0 +1,341 @@
+var http = require('http');
+var https = require('https');
+var tls = require('tls');
+var url = require('url');
+var zlib = require('zlib');
+var _ = require('lodash');
+
+/**
+ * Sends the HTTP requests of a client. A transport is any object with a
+ * `request(options, callback)` method, `options` being
+ *
+ *  - method, url, headers   The request, `url` including the query string
+ *  - body                   String or Buffer, if the request has a body
+ *  - timeout                ms after which the request is abandoned, none when 0
+ *  - proxy                  URL of an HTTP proxy to go through, `false` for none
+ *  - signal                 AbortSignal cancelling the request
+ *
+ * and `callback(error, response)` being called with the response as
+ * `{statusCode, headers, body}`, the body a Buffer whose content encoding
+ * is already decoded. A response that was received but could not be read is
+ * passed along with the error.
+ *
+ * Timeouts fail with an `ETIMEDOUT` error and aborted requests with an
+ * `AbortError` (code `ABORT_ERR`).
+ */
+
+/**
+ * Transport settings of a single call, overriding the ones of the client:
+ *
+ *  - timeout   ms after which a request is abandoned, none when 0
+ *  - proxy     URL of an HTTP proxy to go through, `false` for none
+ *  - baseUrl   Host to send the request to instead of the client's
+ *  - signal    AbortSignal cancelling the request
+ *
+ * They are given as the options argument of an API method, e.g.
+ * `api.deals_get(params, { timeout: 5000 }, callback)`, or among the options
+ * of the helpers sending many requests, {@link Paginator}, {@link Sync} and
+ * {@link Export}, which apply them to every request.
+ */
+exports.callOptions = ['timeout', 'proxy', 'baseUrl', 'signal'];
+
+/**
+ * The default transport, built on Node's `http` and `https`.
+ *
+ * Available options are:
+ *  - keepAlive    Reuse connections between requests. Defaults to `true`.
+ *  - maxSockets   Connections per host. Defaults to no limit.
+ *
+ * Requests are sent through the given `proxy`, or else the one of the
+ * `HTTPS_PROXY`/`HTTP_PROXY` environment variables unless `NO_PROXY` lists
+ * the host. HTTPS requests are tunneled with `CONNECT`.
+ *
+ * @param options Transport options
+ */
+function HttpTransport(options) {
+  options = options || {};
+
+  var agentOptions = {
+    keepAlive: options.keepAlive !== false,
+    maxSockets: options.maxSockets || Infinity
+  };
+
+  this.agents = {
+    'http:': new http.Agent(agentOptions),
+    'https:': new https.Agent(agentOptions)
+  };
+}
+
+HttpTransport.prototype.request = function (options, callback) {
+  var target = url.parse(options.url);
+  var proxy = options.proxy === undefined ? proxyFor(target) : options.proxy ? url.parse(options.proxy) : null;
+  var signal = options.signal;
+  var finished = false;
+  var req;
+  var timer;
+
+  function finish(error, response) {
+    if (finished) {
+      return;
+    }
+
+    finished = true;
+    clearTimeout(timer);
+
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+
+    callback(error, response);
+  }
+
+  function abandon(error) {
+    if (req) {
+      req.destroy(error);
+    }
+
+    finish(error);
+  }
+
+  function onAbort() {
+    abandon(exports.abortError());
+  }
+
+  if (signal && signal.aborted) {
+    return process.nextTick(onAbort);
+  }
+
+  if (signal) {
+    signal.addEventListener('abort', onAbort);
+  }
+
+  if (options.timeout) {
+    timer = setTimeout(function () {
+      var error = new Error('Request timed out after ' + options.timeout + 'ms');
+      error.code = 'ETIMEDOUT';
+      abandon(error);
+    }, options.timeout);
+  }
+
+  var headers = _.assign({}, options.headers);
+
+  if (!hasHeader(headers, 'accept-encoding')) {
+    headers['Accept-Encoding'] = zlib.brotliDecompress ? 'gzip, deflate, br' : 'gzip, deflate';
+  }
+
+  if (options.body !== undefined) {
+    headers['Content-Length'] = Buffer.byteLength(options.body);
+  }
+
+  var requestOptions = {
+    method: options.method,
+    hostname: target.hostname,
+    port: target.port,
+    path: target.path,
+    headers: headers,
+    agent: this.agents[target.protocol]
+  };
+
+  function connecting(tunnel) {
+    req = tunnel;
+  }
+
+  this.connect(target, proxy, requestOptions, connecting, function (error, client, connected) {
+    if (error || finished) {
+      return finish(error);
+    }
+
+    req = client.request(connected, function (res) {
+      readBody(res, function (error, body) {
+        finish(error, { statusCode: res.statusCode, headers: res.headers, body: body });
+      });
+    });
+
+    req.on('error', finish);
+    req.end(options.body);
+  });
+};
+
+/**
+ * Calls back with the module and options to send a request with, going
+ * through the proxy if there is one. A `CONNECT` request opening a tunnel
+ * is handed to `connecting`, so it can be abandoned.
+ */
+HttpTransport.prototype.connect = function (target, proxy, requestOptions, connecting, callback) {
+  var client = target.protocol === 'http:' ? http : https;
+
+  if (!proxy) {
+    return callback(null, client, requestOptions);
+  }
+
+  var proxyHeaders = {};
+
+  if (proxy.auth) {
+    proxyHeaders['Proxy-Authorization'] = 'Basic ' + Buffer.from(decodeURIComponent(proxy.auth)).toString('base64');
+  }
+
+  var proxyClient = proxy.protocol === 'https:' ? https : http;
+  var proxyPort = proxy.port || (proxy.protocol === 'https:' ? 443 : 80);
+
+  // Plain requests go to the proxy with the full URL as path
+  if (target.protocol === 'http:') {
+    return callback(null, proxyClient, _.assign({}, requestOptions, {
+      hostname: proxy.hostname,
+      port: proxyPort,
+      path: url.format(target),
+      headers: _.assign({ Host: target.host }, requestOptions.headers, proxyHeaders),
+      agent: proxy.protocol === 'https:' ? this.agents['https:'] : this.agents['http:']
+    }));
+  }
+
+  var authority = target.hostname + ':' + (target.port || 443);
+  var tunnel = proxyClient.request({
+    method: 'CONNECT',
+    hostname: proxy.hostname,
+    port: proxyPort,
+    path: authority,
+    headers: _.assign({ Host: authority }, proxyHeaders),
+    agent: false
+  });
+
+  tunnel.on('connect', function (res, socket) {
+    if (res.statusCode !== 200) {
+      socket.destroy();
+      return callback(new Error('Proxy ' + proxy.host + ' refused to tunnel to ' + authority + ' (' + res.statusCode + ')'));
+    }
+
+    // The tunnel serves this request only, it is not pooled
+    callback(null, https, _.assign({}, requestOptions, {
+      agent: undefined,
+      createConnection: function () {
+        return tls.connect({ socket: socket, servername: target.hostname });
+      }
+    }));
+  });
+
+  tunnel.on('error', callback);
+  tunnel.end();
+  connecting(tunnel);
+};
+
+/**
+ * Closes the kept-alive connections.
+ */
+HttpTransport.prototype.destroy = function () {
+  this.agents['http:'].destroy();
+  this.agents['https:'].destroy();
+};
+
+exports.HttpTransport = HttpTransport;
+
+/**
+ * @return The error of an aborted request
+ */
+exports.abortError = function () {
+  var error = new Error('The request was aborted');
+  error.name = 'AbortError';
+  error.code = 'ABORT_ERR';
+  return error;
+};
+
+/**
+ * Follows several AbortSignals with a single one, aborted as soon as any of
+ * them is. `release` stops following them once the signal is not needed
+ * anymore.
+ *
+ * @param signals AbortSignals, missing ones are skipped
+ * @return {signal, release}
+ */
+exports.linkSignals = function (signals) {
+  signals = signals.filter(Boolean);
+
+  if (signals.length < 2) {
+    return { signal: signals[0], release: function () {} };
+  }
+
+  var controller = new AbortController();
+
+  function abort() {
+    controller.abort();
+  }
+
+  signals.forEach(function (signal) {
+    if (signal.aborted) {
+      abort();
+    } else {
+      signal.addEventListener('abort', abort);
+    }
+  });
+
+  return {
+    signal: controller.signal,
+    release: function () {
+      signals.forEach(function (signal) {
+        signal.removeEventListener('abort', abort);
+      });
+    }
+  };
+};
+
+function readBody(res, callback) {
+  var chunks = [];
+
+  res.on('data', function (chunk) {
+    chunks.push(chunk);
+  });
+  res.on('error', callback);
+  res.on('end', function () {
+    decode(String(res.headers['content-encoding'] || '').trim().toLowerCase(), Buffer.concat(chunks), callback);
+  });
+}
+
+function decode(encoding, body, callback) {
+  if (!body.length) {
+    return callback(null, body);
+  }
+
+  if (encoding === 'gzip' || encoding === 'x-gzip') {
+    return zlib.gunzip(body, callback);
+  }
+
+  if (encoding === 'deflate') {
+    // Some servers send raw deflate data instead of the zlib format
+    return zlib.inflate(body, function (error, inflated) {
+      return error ? zlib.inflateRaw(body, callback) : callback(null, inflated);
+    });
+  }
+
+  if (encoding === 'br' && zlib.brotliDecompress) {
+    return zlib.brotliDecompress(body, callback);
+  }
+
+  callback(null, body);
+}
+
+function proxyFor(target) {
+  var env = process.env;
+  var proxy = target.protocol === 'https:' ?
+    env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy :
+    env.HTTP_PROXY || env.http_proxy;
+
+  if (!proxy || bypassesProxy(target.hostname, env.NO_PROXY || env.no_proxy)) {
+    return null;
+  }
+
+  return url.parse(proxy);
+}
+
+function bypassesProxy(hostname, noProxy) {
+  return String(noProxy || '').split(',').some(function (entry) {
+    entry = entry.trim().replace(/:\d+$/, '').replace(/^\*?\./, '');
+
+    return entry === '*' || entry === hostname ||
+      (entry && hostname.slice(-entry.length - 1) === '.' + entry);
+  });
+}
+
+function hasHeader(headers, name) {
+  return Object.keys(headers).some(function (header) {
+    return header.toLowerCase() === name;
+  });
+}
@@ -0,0 +1,18 @@
+module.exports = {
+
+  // These are un-documented - use at your own risk.
+  refresh: {
+    verb: "POST",
+    path: "auth/v1/refresh",
+    version: "v1",
+    encoding: "form",
+    body: [
+      "refresh_token",
+      "client_id",
+      "grant_type"
+    ],
+    defaults: {
+      grant_type: "refresh_token"
+    }
+  }
+};
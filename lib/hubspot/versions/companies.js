@@ -0,0 +1,167 @@
+module.exports = {
+
+  companies_recent_created: {
+    verb: "GET",
+    path: "companies/v2/companies/recent/created",
+    version: "v2",
+    query: [
+      "count",
+      "offset"
+    ],
+    pagination: {
+      items: "results",
+      hasMore: "hasMore",
+      cursor: { offset: "offset" }
+    },
+    records: { type: "companies", items: "results" },
+    docs: "http://developers.hubspot.com/docs/methods/companies/get_companies_created"
+  },
+
+  // v2 is the recommended URI in their docs. This would help with a shared vers
+  companies_properties: {
+    verb: "GET",
+    path: "companies/v1/properties",
+    version: "v1",
+    cache: { ttl: 10 * 60 * 1000 },
+    docs: "http://developers.hubspot.com/docs/methods/companies/get_company_properties"
+  },
+
+  // properties: [{name, value}]
+  companies_create: {
+    verb: "POST",
+    path: "companies/v2/companies",
+    version: "v2",
+    body: [
+      "properties"
+    ],
+    records: { type: "companies", write: "properties" },
+    docs: "http://developers.hubspot.com/docs/methods/companies/create_company"
+  },
+
+  companies_get: {
+    verb: "GET",
+    path: "companies/v2/companies/:company_id",
+    version: "v2",
+    records: { type: "companies" },
+    docs: "http://developers.hubspot.com/docs/methods/companies/get_company"
+  },
+
+  companies_update: {
+    verb: "PUT",
+    path: "companies/v2/companies/:company_id",
+    version: "v2",
+    body: [
+      "properties"
+    ],
+    records: { type: "companies", write: "properties" },
+    docs: "http://developers.hubspot.com/docs/methods/companies/update_company"
+  },
+
+  companies_delete: {
+    verb: "DELETE",
+    path: "companies/v2/companies/:company_id",
+    version: "v2",
+    docs: "http://developers.hubspot.com/docs/methods/companies/delete_company"
+  },
+
+  companies_all: {
+    verb: "GET",
+    path: "companies/v2/companies/paged",
+    version: "v2",
+    query: [
+      "limit",
+      "offset",
+      "properties",
+      "propertiesWithHistory"
+    ],
+    pagination: {
+      items: "companies",
+      hasMore: "has-more",
+      cursor: { offset: "offset" }
+    },
+    records: { type: "companies", items: "companies" },
+    docs: "http://developers.hubspot.com/docs/methods/companies/get-all-companies"
+  },
+
+  companies_recent_modified: {
+    verb: "GET",
+    path: "companies/v2/companies/recent/modified",
+    version: "v2",
+    query: [
+      "count",
+      "offset"
+    ],
+    pagination: {
+      items: "results",
+      hasMore: "hasMore",
+      cursor: { offset: "offset" }
+    },
+    records: { type: "companies", items: "results" },
+    docs: "http://developers.hubspot.com/docs/methods/companies/get_companies_modified"
+  },
+
+  // requestOptions: {properties}, offset: {isPrimary, companyId}
+  companies_by_domain: {
+    verb: "POST",
+    path: "companies/v2/domains/:domain/companies",
+    version: "v2",
+    body: [
+      "limit",
+      "requestOptions",
+      "offset"
+    ],
+    pagination: {
+      items: "results",
+      hasMore: "hasMore",
+      cursor: { offset: "offset" }
+    },
+    records: { type: "companies", items: "results" },
+    docs: "http://developers.hubspot.com/docs/methods/companies/search_companies_by_domain"
+  },
+
+  companies_add_contact: {
+    verb: "PUT",
+    path: "companies/v2/companies/:company_id/contacts/:contact_id",
+    version: "v2",
+    docs: "http://developers.hubspot.com/docs/methods/companies/add_contact_to_company"
+  },
+
+  companies_remove_contact: {
+    verb: "DELETE",
+    path: "companies/v2/companies/:company_id/contacts/:contact_id",
+    version: "v2",
+    docs: "http://developers.hubspot.com/docs/methods/companies/remove_contact_from_company"
+  },
+
+  companies_contacts: {
+    verb: "GET",
+    path: "companies/v2/companies/:company_id/contacts",
+    version: "v2",
+    query: [
+      "count",
+      "vidOffset"
+    ],
+    pagination: {
+      items: "contacts",
+      hasMore: "hasMore",
+      cursor: { vidOffset: "vidOffset" }
+    },
+    docs: "http://developers.hubspot.com/docs/methods/companies/get_company_contacts"
+  },
+
+  companies_contact_vids: {
+    verb: "GET",
+    path: "companies/v2/companies/:company_id/vids",
+    version: "v2",
+    query: [
+      "count",
+      "vidOffset"
+    ],
+    pagination: {
+      items: "vids",
+      hasMore: "hasMore",
+      cursor: { vidOffset: "vidOffset" }
+    },
+    docs: "http://developers.hubspot.com/docs/methods/companies/get_company_contacts_by_id"
+  }
+};
@@ -0,0 +1,255 @@
+var _ = require('lodash');
+var helpers = require('../helpers');
+
+var PROFILE_QUERY = [
+  "property",
+  "propertyMode",
+  "formSubmissionMode",
+  "showListMemberships"
+];
+
+// Params of a contact create which are no contact properties
+var CALL_PARAMS = [
+  "version",
+  "verb",
+  "properties"
+];
+
+module.exports = {
+
+  contacts_emails_batch: {
+    verb: "GET",
+    path: "contacts/:version/contact/emails/batch/",
+    version: "v1",
+    query: [
+      "email"
+    ],
+    records: { type: "contacts", byId: true },
+    docs: "http://developers.hubspot.com/docs/methods/contacts/get_batch_by_email"
+  },
+
+  contacts_statistics: {
+    verb: "GET",
+    path: "contacts/v1/contacts/statistics",
+    version: "v1",
+    docs: "http://developers.hubspot.com/docs/methods/contacts/get_contacts"
+  },
+
+  all_contacts: {
+    verb: "GET",
+    path: "contacts/v1/lists/all/contacts/all",
+    version: "v1",
+    query: [
+      "count",
+      "property",
+      "propertyMode",
+      "formSubmissionMode",
+      "showListMemberships",
+      "vidOffset"
+    ],
+    pagination: {
+      items: "contacts",
+      hasMore: "has-more",
+      cursor: { vidOffset: "vid-offset" }
+    },
+    records: { type: "contacts", items: "contacts" },
+    docs: "http://developers.hubspot.com/docs/methods/contacts/get_contacts"
+  },
+
+  get_contact_by_email: {
+    verb: "GET",
+    path: "contacts/v1/contact/email/:email/profile",
+    version: "v1",
+    query: PROFILE_QUERY,
+    records: { type: "contacts" },
+    docs: "http://developers.hubspot.com/docs/methods/contacts/get_contact_by_email"
+  },
+
+  get_contact_by_vid: {
+    verb: "GET",
+    path: "contacts/v1/contact/vid/:contact_id/profile",
+    version: "v1",
+    query: PROFILE_QUERY,
+    records: { type: "contacts" },
+    docs: "http://developers.hubspot.com/docs/methods/contacts/get_contact"
+  },
+
+  get_contact_by_utk: {
+    verb: "GET",
+    path: "contacts/v1/contact/utk/:utk/profile",
+    version: "v1",
+    query: PROFILE_QUERY,
+    records: { type: "contacts" },
+    docs: "http://developers.hubspot.com/docs/methods/contacts/get_contact_by_utk"
+  },
+
+  contacts_vids_batch: {
+    verb: "GET",
+    path: "contacts/v1/contact/vids/batch/",
+    version: "v1",
+    query: ["vid"].concat(PROFILE_QUERY),
+    chunk: [{ param: "vid", size: 100 }],
+    merge: helpers.mergeObjects,
+    records: { type: "contacts", byId: true },
+    docs: "http://developers.hubspot.com/docs/methods/contacts/get_batch_by_vid"
+  },
+
+  contacts_utks_batch: {
+    verb: "GET",
+    path: "contacts/v1/contact/utks/batch/",
+    version: "v1",
+    query: ["utk"].concat(PROFILE_QUERY),
+    chunk: [{ param: "utk", size: 100 }],
+    merge: helpers.mergeObjects,
+    records: { type: "contacts", byId: true },
+    docs: "http://developers.hubspot.com/docs/methods/contacts/get_batch_by_utk"
+  },
+
+  // Takes any contact properties, e.g. {email, firstname, company}, or properties: {email, ...}
+  // or [{property, value}]
+  contacts_contact: {
+    verb: "POST",
+    path: "contacts/:version/contact",
+    version: "v1",
+    body: [
+      "properties"
+    ],
+    prepare: function (params) {
+      params.properties = toContactProperties(params);
+    },
+    records: { type: "contacts", write: "properties" },
+    docs: "http://developers.hubspot.com/docs/methods/contacts/create_contact"
+  },
+
+  contacts_create_update: {
+    verb: "POST",
+    path: "contacts/:version/contact/createOrUpdate/email/:email",
+    version: "v1",
+    body: [
+      "properties"
+    ],
+    records: { type: "contacts", write: "properties" },
+    docs: "http://developers.hubspot.com/docs/methods/contacts/create_or_update"
+  },
+
+  contacts_properties_update: {
+    verb: "POST",
+    path: "contacts/:version/contact/vid/:contact_id/profile",
+    version: "v1",
+    body: [
+      "properties"
+    ],
+    records: { type: "contacts", write: "properties" },
+    docs: "http://developers.hubspot.com/docs/methods/contacts/update_contact"
+  },
+
+  // contacts: [{email or vid, properties: [{property, value}]}]
+  contacts_batch_create_update: {
+    verb: "POST",
+    path: "contacts/v1/contact/batch/",
+    version: "v1",
+    rawBody: "contacts",
+    chunk: [{ param: "contacts", size: 1000 }],
+    records: { type: "contacts", writeItems: "contacts" },
+    docs: "http://developers.hubspot.com/docs/methods/contacts/batch_create_or_update"
+  },
+
+  contacts_delete: {
+    verb: "DELETE",
+    path: "contacts/v1/contact/vid/:contact_id",
+    version: "v1",
+    docs: "http://developers.hubspot.com/docs/methods/contacts/delete_contact"
+  },
+
+  // contact_id: the primary contact, vidToMerge: the contact merged into it
+  contacts_merge: {
+    verb: "POST",
+    path: "contacts/v1/contact/merge-vids/:contact_id/",
+    version: "v1",
+    body: [
+      "vidToMerge"
+    ],
+    required: [
+      "vidToMerge"
+    ],
+    docs: "http://developers.hubspot.com/docs/methods/contacts/merge-contacts"
+  },
+
+  contacts_search: {
+    verb: "GET",
+    path: "contacts/v1/search/query",
+    version: "v1",
+    query: [
+      "q",
+      "count",
+      "offset",
+      "property"
+    ],
+    required: [
+      "q"
+    ],
+    pagination: {
+      items: "contacts",
+      hasMore: "has-more",
+      cursor: { offset: "offset" }
+    },
+    records: { type: "contacts", items: "contacts" },
+    docs: "http://developers.hubspot.com/docs/methods/contacts/search_contacts"
+  },
+
+  contacts_recently_updated: {
+    verb: "GET",
+    path: "contacts/v1/lists/recently_updated/contacts/recent",
+    version: "v1",
+    query: ["count", "timeOffset", "vidOffset"].concat(PROFILE_QUERY),
+    pagination: {
+      items: "contacts",
+      hasMore: "has-more",
+      cursor: { vidOffset: "vid-offset", timeOffset: "time-offset" }
+    },
+    records: { type: "contacts", items: "contacts" },
+    docs: "http://developers.hubspot.com/docs/methods/contacts/get_recently_updated_contacts"
+  },
+
+  contacts_recently_created: {
+    verb: "GET",
+    path: "contacts/v1/lists/all/contacts/recent",
+    version: "v1",
+    query: ["count", "timeOffset", "vidOffset"].concat(PROFILE_QUERY),
+    pagination: {
+      items: "contacts",
+      hasMore: "has-more",
+      cursor: { vidOffset: "vid-offset", timeOffset: "time-offset" }
+    },
+    records: { type: "contacts", items: "contacts" },
+    docs: "http://developers.hubspot.com/docs/methods/contacts/get_recently_created_contacts"
+  },
+
+  contacts_properties: {
+    verb: "GET",
+    path: "contacts/:version/properties",
+    version: "v1",
+    cache: { ttl: 10 * 60 * 1000 },
+    docs: "http://developers.hubspot.com/docs/methods/contacts/get_properties"
+  }
+};
+
+/**
+ * Turns the params of a contact create into the `[{property, value}]` list
+ * the API expects, unless they already come as such. The properties are
+ * either given in `properties`, or are all params but the ones of the call.
+ */
+function toContactProperties(params) {
+  if (Array.isArray(params.properties)) {
+    return params.properties;
+  }
+
+  var values = _.isPlainObject(params.properties) ? params.properties : _.omit(params, CALL_PARAMS);
+
+  return _.map(values, function (value, property) {
+    return {
+      property: property,
+      value: value
+    };
+  });
+}
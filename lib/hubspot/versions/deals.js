@@ -0,0 +1,147 @@
+var helpers = require('../helpers');
+
+module.exports = {
+
+  deals_recent_created: {
+    verb: "GET",
+    path: "deals/v1/deal/recent/created",
+    version: "v1",
+    query: [
+      "count",
+      "offset"
+    ],
+    pagination: {
+      items: "results",
+      hasMore: "hasMore",
+      cursor: { offset: "offset" }
+    },
+    records: { type: "deals", items: "results" },
+    docs: "http://developers.hubspot.com/docs/methods/deals/get_deals_created"
+  },
+
+  deals_properties: {
+    verb: "GET",
+    path: "deals/v1/properties",
+    version: "v1",
+    cache: { ttl: 10 * 60 * 1000 },
+    docs: "http://developers.hubspot.com/docs/methods/deals/get_deal_properties"
+  },
+
+  // properties: [{name, value}], associations: {associatedCompanyIds, associatedVids}
+  deals_create: {
+    verb: "POST",
+    path: "deals/v1/deal",
+    version: "v1",
+    body: [
+      "properties",
+      "associations"
+    ],
+    records: { type: "deals", write: "properties" },
+    docs: "http://developers.hubspot.com/docs/methods/deals/create_deal"
+  },
+
+  deals_get: {
+    verb: "GET",
+    path: "deals/v1/deal/:deal_id",
+    version: "v1",
+    query: [
+      "includePropertyVersions"
+    ],
+    records: { type: "deals" },
+    docs: "http://developers.hubspot.com/docs/methods/deals/get_deal"
+  },
+
+  deals_update: {
+    verb: "PUT",
+    path: "deals/v1/deal/:deal_id",
+    version: "v1",
+    body: [
+      "properties"
+    ],
+    records: { type: "deals", write: "properties" },
+    docs: "http://developers.hubspot.com/docs/methods/deals/update_deal"
+  },
+
+  deals_delete: {
+    verb: "DELETE",
+    path: "deals/v1/deal/:deal_id",
+    version: "v1",
+    docs: "http://developers.hubspot.com/docs/methods/deals/delete_deal"
+  },
+
+  deals_all: {
+    verb: "GET",
+    path: "deals/v1/deal/paged",
+    version: "v1",
+    query: [
+      "limit",
+      "offset",
+      "properties",
+      "propertiesWithHistory",
+      "includeAssociations"
+    ],
+    pagination: {
+      items: "deals",
+      hasMore: "hasMore",
+      cursor: { offset: "offset" }
+    },
+    records: { type: "deals", items: "deals" },
+    docs: "http://developers.hubspot.com/docs/methods/deals/get-all-deals"
+  },
+
+  deals_recent_modified: {
+    verb: "GET",
+    path: "deals/v1/deal/recent/modified",
+    version: "v1",
+    query: [
+      "count",
+      "offset",
+      "since",
+      "includePropertyVersions"
+    ],
+    pagination: {
+      items: "results",
+      hasMore: "hasMore",
+      cursor: { offset: "offset" }
+    },
+    records: { type: "deals", items: "results" },
+    docs: "http://developers.hubspot.com/docs/methods/deals/get_deals_modified"
+  },
+
+  // object_type: CONTACT or COMPANY, id: vid/companyId or array of them
+  deals_associate: {
+    verb: "PUT",
+    path: "deals/v1/deal/:deal_id/associations/:object_type",
+    version: "v1",
+    query: [
+      "id"
+    ],
+    prepare: helpers.upperCaseObjectType,
+    docs: "http://developers.hubspot.com/docs/methods/deals/associate_deal"
+  },
+
+  deals_dissociate: {
+    verb: "DELETE",
+    path: "deals/v1/deal/:deal_id/associations/:object_type",
+    version: "v1",
+    query: [
+      "id"
+    ],
+    prepare: helpers.upperCaseObjectType,
+    docs: "http://developers.hubspot.com/docs/methods/deals/delete_association"
+  },
+
+  deals_pipelines: {
+    verb: "GET",
+    path: "deals/v1/pipelines",
+    version: "v1",
+    docs: "http://developers.hubspot.com/docs/methods/deal-pipelines/get-all-deal-pipelines"
+  },
+
+  deals_pipeline: {
+    verb: "GET",
+    path: "deals/v1/pipelines/:pipeline_id",
+    version: "v1",
+    docs: "http://developers.hubspot.com/docs/methods/deal-pipelines/get-deal-pipeline"
+  }
+};
@@ -0,0 +1,14 @@
+module.exports = {
+
+  // These are un-documented - use at your own risk.
+  cosemail: {
+    verb: "GET",
+    path: "cosemail/v1/emaildashboard",
+    version: "v1",
+    query: [
+      "limit",
+      "offset",
+      "property"
+    ]
+  }
+};
@@ -0,0 +1,108 @@
+var _ = require('lodash');
+var engagements = require('../engagements');
+var helpers = require('../helpers');
+
+function toWire(params) {
+  _.assign(params, engagements.toWire(_.pick(params, "engagement", "metadata")));
+}
+
+module.exports = {
+
+  // The metadata of notes, calls, emails, tasks and meetings is checked
+  // before sending, see the builders in `engagements.js`. Dates are sent as
+  // ms since epoch.
+  engagements_create: {
+    verb: "POST",
+    path: "engagements/v1/engagements",
+    version: "v1",
+    body: [
+      "engagement",
+      "associations",
+      "attachments",
+      "metadata"
+    ],
+    prepare: toWire,
+    validate: function (api, params, callback) {
+      callback(engagements.validate(params));
+    },
+    docs: "http://developers.hubspot.com/docs/methods/engagements/create_engagement"
+  },
+
+  engagements_get: {
+    verb: "GET",
+    path: "engagements/v1/engagements/:engagement_id",
+    version: "v1",
+    docs: "http://developers.hubspot.com/docs/methods/engagements/get_engagement"
+  },
+
+  // Only the fields given are changed.
+  engagements_update: {
+    verb: "PATCH",
+    path: "engagements/v1/engagements/:engagement_id",
+    version: "v1",
+    body: [
+      "engagement",
+      "metadata"
+    ],
+    prepare: toWire,
+    docs: "http://developers.hubspot.com/docs/methods/engagements/update_engagement-patch"
+  },
+
+  engagements_delete: {
+    verb: "DELETE",
+    path: "engagements/v1/engagements/:engagement_id",
+    version: "v1",
+    docs: "http://developers.hubspot.com/docs/methods/engagements/delete-engagement"
+  },
+
+  engagements_all: {
+    verb: "GET",
+    path: "engagements/v1/engagements/paged",
+    version: "v1",
+    query: [
+      "limit",
+      "offset"
+    ],
+    pagination: {
+      items: "results",
+      hasMore: "hasMore",
+      cursor: { offset: "offset" }
+    },
+    docs: "http://developers.hubspot.com/docs/methods/engagements/get-all-engagements"
+  },
+
+  engagements_recent_modified: {
+    verb: "GET",
+    path: "engagements/v1/engagements/recent/modified",
+    version: "v1",
+    query: [
+      "count",
+      "offset",
+      "since"
+    ],
+    pagination: {
+      items: "results",
+      hasMore: "hasMore",
+      cursor: { offset: "offset" }
+    },
+    docs: "http://developers.hubspot.com/docs/methods/engagements/get-recent-engagements"
+  },
+
+  // object_type: CONTACT, COMPANY or DEAL
+  engagements_associated: {
+    verb: "GET",
+    path: "engagements/v1/engagements/associated/:object_type/:object_id/paged",
+    version: "v1",
+    query: [
+      "limit",
+      "offset"
+    ],
+    prepare: helpers.upperCaseObjectType,
+    pagination: {
+      items: "results",
+      hasMore: "hasMore",
+      cursor: { offset: "offset" }
+    },
+    docs: "http://developers.hubspot.com/docs/methods/engagements/get_associated_engagements"
+  }
+};
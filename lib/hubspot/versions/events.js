@@ -0,0 +1,19 @@
+module.exports = {
+
+  // un-published API endpoint.
+  event_completions: {
+    verb: "POST",
+    path: "analytics/v2/event/completions/total",
+    version: "v2",
+    encoding: "form",
+    body: [
+      "offset"
+    ]
+  },
+
+  events: {
+    verb: "GET",
+    path: "reports/v1/events",
+    version: "v1"
+  }
+};
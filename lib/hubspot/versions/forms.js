@@ -0,0 +1,162 @@
+var _ = require('lodash');
+var errors = require('../errors');
+
+var FORM_BODY = [
+  "name",
+  "action",
+  "method",
+  "cssClass",
+  "redirect",
+  "submitText",
+  "followUpId",
+  "notifyRecipients",
+  "leadNurturingCampaignId",
+  "formFieldGroups",
+  "inlineMessage",
+  "isPublished",
+  "metaData"
+];
+
+module.exports = {
+
+  contacts_forms: {
+    verb: "GET",
+    path: "contacts/:version/forms",
+    version: "v1",
+    cache: { ttl: 10 * 60 * 1000 },
+    docs: "http://developers.hubspot.com/docs/methods/forms/v2/get_forms"
+  },
+
+  leads_forms: {
+    verb: "GET",
+    path: "leads/v2/forms",
+    version: "v2",
+    // The leads API is deprecated, its overview is all that is left of its documentation
+    docs: "http://developers.hubspot.com/docs/methods/leads/leads-overview"
+  },
+
+  forms_get: {
+    verb: "GET",
+    path: "forms/v2/forms/:form_guid",
+    version: "v2",
+    docs: "http://developers.hubspot.com/docs/methods/forms/v2/get_form"
+  },
+
+  forms_create: {
+    verb: "POST",
+    path: "forms/v2/forms",
+    version: "v2",
+    body: FORM_BODY,
+    required: [
+      "name"
+    ],
+    invalidates: ["contacts_forms"],
+    docs: "http://developers.hubspot.com/docs/methods/forms/v2/create_form"
+  },
+
+  forms_update: {
+    verb: "POST",
+    path: "forms/v2/forms/:form_guid",
+    version: "v2",
+    body: FORM_BODY,
+    invalidates: ["contacts_forms"],
+    docs: "http://developers.hubspot.com/docs/methods/forms/v2/update_form"
+  },
+
+  forms_delete: {
+    verb: "DELETE",
+    path: "forms/v2/forms/:form_guid",
+    version: "v2",
+    invalidates: ["contacts_forms"],
+    docs: "http://developers.hubspot.com/docs/methods/forms/v2/delete_form"
+  },
+
+  forms_fields: {
+    verb: "GET",
+    path: "forms/v2/fields/:form_guid",
+    version: "v2",
+    docs: "http://developers.hubspot.com/docs/methods/forms/v2/get_fields"
+  },
+
+  /**
+   * Submits a form server-side. `fields` is an object of field values or a
+   * list of {name, value}, `context` may hold the `hutk` cookie, `pageUri`,
+   * `pageName` and `ipAddress`.
+   *
+   * The submitted fields are checked against the form's field definitions
+   * first: submissions with unknown fields or without a required field fail
+   * with a HubspotValidationError listing them in `unknownFields` and
+   * `missingFields`, unless `skipValidation` is set. Fields shown depending
+   * on another field's value are known, but never missing, as they may be
+   * hidden.
+   */
+  forms_submit: {
+    verb: "POST",
+    path: "submissions/v3/integration/submit/:portal_id/:form_guid",
+    version: "v3",
+    auth: false,
+    baseUri: "formsUri",
+    body: [
+      "fields",
+      "context",
+      "legalConsentOptions",
+      "submittedAt"
+    ],
+    prepare: function (params) {
+      params.fields = Array.isArray(params.fields) ? params.fields : _.map(params.fields, function (value, name) {
+        return {
+          name: name,
+          value: value
+        };
+      });
+    },
+    validate: function (api, params, callback) {
+      if (params.skipValidation) {
+        return callback(null);
+      }
+
+      api.forms_get({ form_guid: params.form_guid }, function (error, form) {
+        callback(error || checkFormSubmission(form, params.fields));
+      });
+    },
+    docs: "https://developers.hubspot.com/docs/methods/forms/submit_form_v3"
+  }
+};
+
+/**
+ * Compares submitted fields with the field definitions of a form.
+ * @return HubspotValidationError listing unknown and missing required fields, null if there are none
+ */
+function checkFormSubmission(form, fields) {
+  var definitions = _.flatten(_.pluck((form && form.formFieldGroups) || [], "fields"));
+  var dependents = _.flatten(definitions.map(function (definition) {
+    return _.compact(_.pluck(definition.dependentFieldFilters || [], "dependentFormField"));
+  }));
+  var submitted = _.pluck(fields, "name");
+
+  var unknownFields = _.difference(submitted, _.pluck(definitions.concat(dependents), "name"));
+  var missingFields = _.difference(_.pluck(_.filter(definitions, "required"), "name"), submitted);
+
+  if (!unknownFields.length && !missingFields.length) {
+    return null;
+  }
+
+  var problems = [];
+  if (unknownFields.length) {
+    problems.push("unknown fields " + unknownFields.join(", "));
+  }
+
+  if (missingFields.length) {
+    problems.push("missing required fields " + missingFields.join(", "));
+  }
+
+  var error = new errors.HubspotValidationError("Invalid form submission: " + problems.join("; "));
+  error.unknownFields = unknownFields;
+  error.missingFields = missingFields;
+  error.failures = unknownFields.map(function (name) {
+    return { property: name, error: "UNKNOWN_FIELD", message: "unknown field " + name };
+  }).concat(missingFields.map(function (name) {
+    return { property: name, error: "REQUIRED", message: "missing required field " + name };
+  }));
+  return error;
+}
@@ -1,15 +1,72 @@
 /**
- * Created by blairanderson on 8/1/14.
+ * Definitions of every hubspot API endpoint, one module per resource. The
+ * API methods of {@link hubspotAPI} are generated from them, so supporting
+ * another endpoint only takes adding its definition here.
+ *
+ * A definition, keyed by the name of its method, has the fields
+ *
+ *  - verb        HTTP verb
+ *  - path        Path template. `:name` segments are filled in from the params
+ *                of the same name, `:version` with `params.version` or `version`.
+ *  - version     Version of the API the endpoint belongs to, e.g. `v1`
+ *  - query       Params sent in the query string
+ *  - body        Params sent in the JSON body (form encoded with `encoding: 'form'`)
+ *  - required    Params which have to be given
+ *  - pagination  For offset-based endpoints: {items, hasMore, cursor}, naming
+ *                the array holding a page's items, the flag telling whether
+ *                more pages exist and, for every request param carrying the
+ *                cursor, the response field it is read from
+ *  - docs        Link to the endpoint's documentation
+ *
+ * and optionally
+ *
+ *  - encoding    `form` to send the body form encoded
+ *  - rawBody     Name of the param whose value is sent as the whole body
+ *  - chunk       [{param, size}]: send the array in `param` in requests of at
+ *                most `size` items, one after another
+ *  - merge       function (responses) combining the responses of a chunked call
+ *  - verbs       Verbs the caller may pick with `params.verb`, `verb` being the default
+ *  - auth        `false` for endpoints called without credentials
+ *  - baseUri     Name of the client property holding the host to call instead of `httpUri`
+ *  - records     CRM records read or written, for the `normalize` client option:
+ *                {type: contacts|companies|deals} plus `items` (response field
+ *                holding a list of records), `byId` (response maps ids to
+ *                records), `write` (param holding the properties to send) or
+ *                `writeItems` (param holding a list of records to send).
+ *                Without `items` and `byId` the response is a single record.
+ *  - defaults    Default params
+ *  - prepare     function (params, api) adjusting a copy of the params before sending
+ *  - validate    function (api, params, callback) checking the params before
+ *                sending, calling back with an error to stop the request
+ *  - cache       {ttl}: responses to GET calls may be kept for `ttl` ms, for
+ *                the `cache` client option. Calls with another verb drop them.
+ *  - invalidates Names of the cached endpoints whose responses a call drops
  */
 
-var versions = [
-  "v1",
-  "v2",
-  "v3"
+var resources = [
+  "events",
+  "sources",
+  "contacts",
+  "lists",
+  "timeline",
+  "workflows",
+  "forms",
+  "prospects",
+  "settings",
+  "email",
+  "auth",
+  "owners",
+  "deals",
+  "companies",
+  "properties",
+  "engagements"
 ];
 
-for (var i = 0; i < versions.length; i++) {
-  var version = versions[i];
-  exports[version] = require('./' + version);
-}
+resources.forEach(function (resource) {
+  var definitions = require('./' + resource);
 
+  for (var name in definitions) {
+    definitions[name].resource = resource;
+    exports[name] = definitions[name];
+  }
+});
@@ -0,0 +1,159 @@
+var _ = require('lodash');
+
+var PAGINATED_LIST_QUERY = [
+  "count",
+  "offset"
+];
+
+var LIST_CONTACTS_QUERY = [
+  "property",
+  "propertyMode",
+  "formSubmissionMode",
+  "showListMemberships"
+];
+
+var MEMBERSHIP_CHANGE = {
+  verb: "POST",
+  version: "v1",
+  body: [
+    "vids",
+    "emails"
+  ],
+  chunk: [{ param: "vids", size: 500 }, { param: "emails", size: 500 }],
+  prepare: function (params) {
+    params.vids = [].concat(params.vids || [], params.contact_id || []);
+  },
+  merge: membershipSummary
+};
+
+module.exports = {
+
+  contacts_lists: {
+    verb: "GET",
+    path: "contacts/:version/lists",
+    version: "v1",
+    query: PAGINATED_LIST_QUERY,
+    pagination: {
+      items: "lists",
+      hasMore: "has-more",
+      cursor: { offset: "offset" }
+    },
+    docs: "http://developers.hubspot.com/docs/methods/lists/get_lists"
+  },
+
+  contacts_static_lists: {
+    verb: "GET",
+    path: "contacts/:version/lists/static",
+    version: "v1",
+    query: PAGINATED_LIST_QUERY,
+    pagination: {
+      items: "lists",
+      hasMore: "has-more",
+      cursor: { offset: "offset" }
+    },
+    docs: "http://developers.hubspot.com/docs/methods/lists/get_static_lists"
+  },
+
+  contacts_lists_get: {
+    verb: "GET",
+    path: "contacts/:version/lists/:list_id",
+    version: "v1",
+    docs: "http://developers.hubspot.com/docs/methods/lists/get_list"
+  },
+
+  // filters: [[{operator, property, value, type}]]
+  contacts_lists_create: {
+    verb: "POST",
+    path: "contacts/:version/lists",
+    version: "v1",
+    body: [
+      "name",
+      "dynamic",
+      "portalId",
+      "filters"
+    ],
+    required: [
+      "name"
+    ],
+    docs: "http://developers.hubspot.com/docs/methods/lists/create_list"
+  },
+
+  contacts_lists_update: {
+    verb: "POST",
+    path: "contacts/:version/lists/:list_id",
+    version: "v1",
+    body: [
+      "name",
+      "dynamic",
+      "filters"
+    ],
+    docs: "http://developers.hubspot.com/docs/methods/lists/update_list"
+  },
+
+  contacts_lists_delete: {
+    verb: "DELETE",
+    path: "contacts/:version/lists/:list_id",
+    version: "v1",
+    docs: "http://developers.hubspot.com/docs/methods/lists/delete_list"
+  },
+
+  // Static lists only. Takes vids: [...] and/or emails: [...], or a single contact_id
+  contacts_lists_add: _.assign({}, MEMBERSHIP_CHANGE, {
+    path: "contacts/:version/lists/:list_id/add",
+    docs: "http://developers.hubspot.com/docs/methods/lists/add_contact_to_list"
+  }),
+
+  contacts_lists_remove: _.assign({}, MEMBERSHIP_CHANGE, {
+    path: "contacts/:version/lists/:list_id/remove",
+    docs: "http://developers.hubspot.com/docs/methods/lists/remove_contact_from_list"
+  }),
+
+  contacts_lists_contacts: {
+    verb: "GET",
+    path: "contacts/:version/lists/:list_id/contacts/all",
+    version: "v1",
+    query: ["count", "vidOffset"].concat(LIST_CONTACTS_QUERY),
+    pagination: {
+      items: "contacts",
+      hasMore: "has-more",
+      cursor: { vidOffset: "vid-offset" }
+    },
+    records: { type: "contacts", items: "contacts" },
+    docs: "http://developers.hubspot.com/docs/methods/lists/get_list_contacts"
+  },
+
+  contacts_lists_recent_contacts: {
+    verb: "GET",
+    path: "contacts/:version/lists/:list_id/contacts/recent",
+    version: "v1",
+    query: ["count", "timeOffset", "vidOffset"].concat(LIST_CONTACTS_QUERY),
+    pagination: {
+      items: "contacts",
+      hasMore: "has-more",
+      cursor: { vidOffset: "vid-offset", timeOffset: "time-offset" }
+    },
+    records: { type: "contacts", items: "contacts" },
+    docs: "http://developers.hubspot.com/docs/methods/lists/get_list_contacts_recent"
+  }
+};
+
+/**
+ * Sums up which contacts the chunked requests updated, discarded (already
+ * in/not in the list) or found invalid.
+ */
+function membershipSummary(responses) {
+  var summary = {
+    updated: [],
+    discarded: [],
+    invalidVids: [],
+    invalidEmails: []
+  };
+
+  responses.forEach(function (response) {
+    for (var key in summary) {
+      summary[key] = summary[key].concat(response[key] || []);
+    }
+  });
+
+  return summary;
+}
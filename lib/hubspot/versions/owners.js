@@ -0,0 +1,13 @@
+module.exports = {
+
+  owners: {
+    verb: "GET",
+    path: "owners/v2/owners",
+    version: "v2",
+    cache: { ttl: 10 * 60 * 1000 },
+    query: [
+      "includeInactive"
+    ],
+    docs: "http://developers.hubspot.com/docs/methods/owners/get_owners"
+  }
+};
@@ -0,0 +1,141 @@
+/**
+ * Property and property group endpoints of the CRM objects. They are defined
+ * for every object type, e.g. `contacts_property_create` or
+ * `deals_property_groups`.
+ *
+ * http://developers.hubspot.com/docs/methods/contacts/v2/contact_properties_overview
+ * http://developers.hubspot.com/docs/methods/companies/company-properties-overview
+ * http://developers.hubspot.com/docs/methods/deals/deal-properties-overview
+ */
+var PROPERTY_PATHS = {
+  contacts: {
+    properties: "contacts/v2/properties",
+    groups: "contacts/v2/groups",
+    version: "v2",
+    docs: {
+      property_create: "http://developers.hubspot.com/docs/methods/contacts/v2/create_contacts_property",
+      property_update: "http://developers.hubspot.com/docs/methods/contacts/v2/update_contact_property",
+      property_delete: "http://developers.hubspot.com/docs/methods/contacts/v2/delete_contact_property",
+      property_groups: "http://developers.hubspot.com/docs/methods/contacts/v2/get_contact_property_groups",
+      property_group_create: "http://developers.hubspot.com/docs/methods/contacts/v2/create_property_group",
+      property_group_update: "http://developers.hubspot.com/docs/methods/contacts/v2/update_property_group",
+      property_group_delete: "http://developers.hubspot.com/docs/methods/contacts/v2/delete_property_group"
+    }
+  },
+  companies: {
+    properties: "companies/v2/properties",
+    groups: "companies/v2/groups",
+    version: "v2",
+    docs: {
+      property_create: "http://developers.hubspot.com/docs/methods/companies/create_company_property",
+      property_update: "http://developers.hubspot.com/docs/methods/companies/update_company_property",
+      property_delete: "http://developers.hubspot.com/docs/methods/companies/delete_company_property",
+      property_groups: "http://developers.hubspot.com/docs/methods/companies/get_company_property_groups",
+      property_group_create: "http://developers.hubspot.com/docs/methods/companies/create_company_property_group",
+      property_group_update: "http://developers.hubspot.com/docs/methods/companies/update_company_property_group",
+      property_group_delete: "http://developers.hubspot.com/docs/methods/companies/delete_company_property_group"
+    }
+  },
+  deals: {
+    properties: "properties/v1/deals/properties",
+    groups: "properties/v1/deals/groups",
+    version: "v1",
+    docs: {
+      property_create: "http://developers.hubspot.com/docs/methods/deals/create_deal_property",
+      property_update: "http://developers.hubspot.com/docs/methods/deals/update_deal_property",
+      property_delete: "http://developers.hubspot.com/docs/methods/deals/delete_deal_property",
+      property_groups: "http://developers.hubspot.com/docs/methods/deals/get_deal_property_groups",
+      property_group_create: "http://developers.hubspot.com/docs/methods/deals/create_deal_property_group",
+      property_group_update: "http://developers.hubspot.com/docs/methods/deals/update_deal_property_group",
+      property_group_delete: "http://developers.hubspot.com/docs/methods/deals/delete_deal_property_group"
+    }
+  }
+};
+
+var PROPERTY_BODY = [
+  "name",
+  "label",
+  "description",
+  "groupName",
+  "type",
+  "fieldType",
+  "formField",
+  "displayOrder",
+  "options",
+  "hidden",
+  "calculated",
+  "externalOptions"
+];
+
+var PROPERTY_GROUP_BODY = [
+  "name",
+  "displayName",
+  "displayOrder"
+];
+
+Object.keys(PROPERTY_PATHS).forEach(function (objectType) {
+  var paths = PROPERTY_PATHS[objectType];
+  var cached = [objectType + "_properties"];
+
+  // name, label, groupName, type, fieldType, options: [{label, value}], ...
+  exports[objectType + "_property_create"] = {
+    verb: "POST",
+    path: paths.properties,
+    version: paths.version,
+    body: PROPERTY_BODY,
+    invalidates: cached,
+    docs: paths.docs.property_create
+  };
+
+  // name of the property to update plus the fields to change
+  exports[objectType + "_property_update"] = {
+    verb: "PUT",
+    path: paths.properties + "/named/:name",
+    version: paths.version,
+    body: PROPERTY_BODY,
+    invalidates: cached,
+    docs: paths.docs.property_update
+  };
+
+  exports[objectType + "_property_delete"] = {
+    verb: "DELETE",
+    path: paths.properties + "/named/:name",
+    version: paths.version,
+    invalidates: cached,
+    docs: paths.docs.property_delete
+  };
+
+  exports[objectType + "_property_groups"] = {
+    verb: "GET",
+    path: paths.groups,
+    version: paths.version,
+    query: [
+      "includeProperties"
+    ],
+    docs: paths.docs.property_groups
+  };
+
+  exports[objectType + "_property_group_create"] = {
+    verb: "POST",
+    path: paths.groups,
+    version: paths.version,
+    body: PROPERTY_GROUP_BODY,
+    docs: paths.docs.property_group_create
+  };
+
+  exports[objectType + "_property_group_update"] = {
+    verb: "PUT",
+    path: paths.groups + "/named/:name",
+    version: paths.version,
+    body: PROPERTY_GROUP_BODY,
+    docs: paths.docs.property_group_update
+  };
+
+  exports[objectType + "_property_group_delete"] = {
+    verb: "DELETE",
+    path: paths.groups + "/named/:name",
+    version: paths.version,
+    invalidates: cached,
+    docs: paths.docs.property_group_delete
+  };
+});
@@ -0,0 +1,17 @@
+module.exports = {
+
+  prospects: {
+    verb: "GET",
+    path: "prospects/v1/timeline",
+    version: "v1",
+    query: [
+      "timeOffset",
+      "orgOffset"
+    ],
+    pagination: {
+      items: "prospects",
+      hasMore: "hasMore",
+      cursor: { timeOffset: "timeOffset", orgOffset: "orgOffset" }
+    }
+  }
+};
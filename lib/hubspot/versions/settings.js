@@ -0,0 +1,21 @@
+module.exports = {
+
+  // The verb is picked with `params.verb`. The params go into the form encoded
+  // body of POST requests and into the query string of all others.
+  settings: {
+    verb: "GET",
+    verbs: ["GET", "POST", "PUT", "DELETE"],
+    path: "settings/v1/settings",
+    version: "v1",
+    encoding: "form",
+    cache: { ttl: 10 * 60 * 1000 },
+    body: [
+      "sm",
+      "name",
+      "value",
+      "domains",
+      "readOnly"
+    ],
+    docs: "http://developers.hubspot.com/docs/methods/settings/get_settings"
+  }
+};
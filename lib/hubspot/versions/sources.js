@@ -0,0 +1,9 @@
+module.exports = {
+
+  // un-published API endpoint.
+  sources_daily: {
+    verb: "GET",
+    path: "analytics/v2/sources/summary/daily",
+    version: "v2"
+  }
+};
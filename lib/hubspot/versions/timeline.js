@@ -0,0 +1,188 @@
+var _ = require('lodash');
+
+var EVENT_TYPE_BODY = [
+  "name",
+  "headerTemplate",
+  "detailTemplate",
+  "objectType"
+];
+
+var EVENT_FIELDS = [
+  "id",
+  "eventTypeId",
+  "email",
+  "objectId",
+  "utk",
+  "timestamp",
+  "extraData",
+  "timelineIFrame"
+];
+
+var EVENT_TYPE_PROPERTY_BODY = [
+  "name",
+  "label",
+  "propertyType",
+  "objectProperty",
+  "options"
+];
+
+/**
+ * The timeline endpoints belong to a HubSpot app, identified by `app_id`
+ * (the client option or a param). Event types and their properties are
+ * managed with the developer account's api_key and `userId`, events are
+ * created with an OAuth access token of the portal.
+ */
+function withAppId(params, api) {
+  params.app_id = params.app_id || api.app_id;
+}
+
+module.exports = {
+
+  timeline_event_types: {
+    verb: "GET",
+    path: "integrations/v1/:app_id/timeline/event-types",
+    version: "v1",
+    query: [
+      "userId"
+    ],
+    prepare: withAppId,
+    docs: "http://developers.hubspot.com/docs/methods/timeline/get-event-types"
+  },
+
+  timeline_event_type_create: {
+    verb: "POST",
+    path: "integrations/v1/:app_id/timeline/event-types",
+    version: "v1",
+    query: [
+      "userId"
+    ],
+    body: EVENT_TYPE_BODY.concat("applicationId"),
+    prepare: function (params, api) {
+      withAppId(params, api);
+      params.applicationId = params.applicationId || params.app_id;
+    },
+    docs: "http://developers.hubspot.com/docs/methods/timeline/create-event-type"
+  },
+
+  timeline_event_type_update: {
+    verb: "PUT",
+    path: "integrations/v1/:app_id/timeline/event-types/:event_type_id",
+    version: "v1",
+    query: [
+      "userId"
+    ],
+    body: EVENT_TYPE_BODY,
+    prepare: withAppId,
+    docs: "http://developers.hubspot.com/docs/methods/timeline/update-event-type"
+  },
+
+  timeline_event_type_delete: {
+    verb: "DELETE",
+    path: "integrations/v1/:app_id/timeline/event-types/:event_type_id",
+    version: "v1",
+    query: [
+      "userId"
+    ],
+    prepare: withAppId,
+    docs: "http://developers.hubspot.com/docs/methods/timeline/delete-event-type"
+  },
+
+  timeline_event_type_properties: {
+    verb: "GET",
+    path: "integrations/v1/:app_id/timeline/event-types/:event_type_id/properties",
+    version: "v1",
+    query: [
+      "userId"
+    ],
+    prepare: withAppId,
+    docs: "http://developers.hubspot.com/docs/methods/timeline/get-timeline-event-type-properties"
+  },
+
+  timeline_event_type_property_create: {
+    verb: "POST",
+    path: "integrations/v1/:app_id/timeline/event-types/:event_type_id/properties",
+    version: "v1",
+    query: [
+      "userId"
+    ],
+    body: EVENT_TYPE_PROPERTY_BODY,
+    prepare: withAppId,
+    docs: "http://developers.hubspot.com/docs/methods/timeline/create-timeline-event-type-property"
+  },
+
+  // id: the id of the property
+  timeline_event_type_property_update: {
+    verb: "PUT",
+    path: "integrations/v1/:app_id/timeline/event-types/:event_type_id/properties",
+    version: "v1",
+    query: [
+      "userId"
+    ],
+    body: ["id"].concat(EVENT_TYPE_PROPERTY_BODY),
+    prepare: withAppId,
+    docs: "http://developers.hubspot.com/docs/methods/timeline/udpate-timeline-event-type-property"
+  },
+
+  timeline_event_type_property_delete: {
+    verb: "DELETE",
+    path: "integrations/v1/:app_id/timeline/event-types/:event_type_id/properties/:property_id",
+    version: "v1",
+    query: [
+      "userId"
+    ],
+    prepare: withAppId,
+    docs: "http://developers.hubspot.com/docs/methods/timeline/delete-timeline-event-type-property"
+  },
+
+  // Takes id, eventTypeId, the contact's email, vid or utk, timestamp,
+  // extraData, timelineIFrame and the values of the event type's properties
+  // in properties: {name: value}
+  timeline_event_create_update: {
+    verb: "PUT",
+    path: "integrations/v1/:app_id/timeline/event",
+    version: "v1",
+    rawBody: "event",
+    prepare: function (params, api) {
+      withAppId(params, api);
+      params.event = toTimelineEvent(params);
+    },
+    docs: "http://developers.hubspot.com/docs/methods/timeline/create-or-update-event"
+  },
+
+  // events: list of events as taken by timeline_event_create_update
+  timeline_events_batch_create_update: {
+    verb: "PUT",
+    path: "integrations/v1/:app_id/timeline/event/batch",
+    version: "v1",
+    body: [
+      "eventWrappers"
+    ],
+    prepare: function (params, api) {
+      withAppId(params, api);
+      params.eventWrappers = (params.events || []).map(toTimelineEvent);
+    },
+    docs: "http://developers.hubspot.com/docs/methods/timeline/batch-create-or-update-events"
+  },
+
+  timeline_event_get: {
+    verb: "GET",
+    path: "integrations/v1/:app_id/timeline/event/:event_type_id/:event_id",
+    version: "v1",
+    prepare: withAppId,
+    docs: "http://developers.hubspot.com/docs/methods/timeline/get-event"
+  }
+};
+
+/**
+ * The body of a timeline event: its documented fields, the contact's vid
+ * named `objectId`, and the values of the event type's properties.
+ */
+function toTimelineEvent(params) {
+  var event = _.assign({}, params.properties, _.pick(params, EVENT_FIELDS));
+
+  if (params.vid !== undefined) {
+    event.objectId = params.vid;
+  }
+
+  return event;
+}
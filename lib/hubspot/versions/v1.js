@@ -1,8 +0,0 @@
-/**
- * Created by blairanderson on 8/1/14.
- */
-
-
-exports.settings = function settings(params, callback){
-
-}
\ No newline at end of file
@@ -1,3 +0,0 @@
-/**
- * Created by blairanderson on 8/1/14.
- */
@@ -0,0 +1,85 @@
+module.exports = {
+
+  automation_workflows: {
+    verb: "GET",
+    path: "automation/v2/workflows",
+    version: "v2",
+    docs: "http://developers.hubspot.com/docs/methods/workflows/get_workflows"
+  },
+
+  automation_workflow: {
+    verb: "GET",
+    path: "automation/v3/workflows/:workflow_id",
+    version: "v3",
+    query: [
+      "stats",
+      "errors"
+    ],
+    docs: "http://developers.hubspot.com/docs/methods/workflows/v3/get_workflow"
+  },
+
+  automation_workflow_create: {
+    verb: "POST",
+    path: "automation/v3/workflows",
+    version: "v3",
+    body: [
+      "name",
+      "type",
+      "enabled",
+      "onlyEnrollsManually",
+      "actions",
+      "triggerSets",
+      "suppressionListIds",
+      "goalCriteria",
+      "allowContactToTriggerMultipleTimes",
+      "unenrollmentSetting",
+      "reEnrollmentTriggerSets"
+    ],
+    required: [
+      "name",
+      "type"
+    ],
+    docs: "http://developers.hubspot.com/docs/methods/workflows/v3/create_workflow"
+  },
+
+  automation_workflow_delete: {
+    verb: "DELETE",
+    path: "automation/v3/workflows/:workflow_id",
+    version: "v3",
+    docs: "http://developers.hubspot.com/docs/methods/workflows/v3/delete_workflow"
+  },
+
+  automation_workflow_enroll: {
+    verb: "POST",
+    path: "automation/v2/workflows/:workflow_id/enrollments/contacts/:email",
+    version: "v2",
+    docs: "http://developers.hubspot.com/docs/methods/workflows/add_contact"
+  },
+
+  automation_workflow_unenroll: {
+    verb: "DELETE",
+    path: "automation/v2/workflows/:workflow_id/enrollments/contacts/:email",
+    version: "v2",
+    docs: "http://developers.hubspot.com/docs/methods/workflows/remove_contact"
+  },
+
+  // The workflows a contact is currently enrolled in
+  automation_contact_enrollments: {
+    verb: "GET",
+    path: "automation/v2/workflows/enrollments/contacts/:contact_id",
+    version: "v2",
+    docs: "http://developers.hubspot.com/docs/methods/workflows/current_enrollments"
+  },
+
+  // types: event types, e.g. ["ENROLLED"], vids: contacts to get the events of
+  automation_workflow_events: {
+    verb: "PUT",
+    path: "automation/v3/logevents/workflows/:workflow_id/filter",
+    version: "v3",
+    body: [
+      "types",
+      "vids"
+    ],
+    docs: "http://developers.hubspot.com/docs/methods/workflows/v3/get_log_events"
+  }
+};
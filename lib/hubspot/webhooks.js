@@ -0,0 +1,255 @@
+var crypto = require('crypto');
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+/**
+ * Receives HubSpot webhook and workflow callbacks. Requests are checked
+ * against their `X-HubSpot-Signature` and every event is emitted under its
+ * subscription type, e.g. `contact.creation` or `deal.propertyChange`, as
+ * well as under `event`. Workflow callbacks, whose body is a single contact
+ * instead of a list of events, are emitted as `workflow`.
+ *
+ * Required options are:
+ *  - client_secret   The secret of the HubSpot app the signatures are made with
+ * Available options are:
+ *  - baseUrl   Public origin of the webhook URL, e.g. `https://example.com`, as
+ *              signed by v2 signatures. Defaults to the origin of the request.
+ *  - maxAge    Requests with an `X-HubSpot-Request-Timestamp` older than this
+ *              many ms, or as far in the future, are rejected. Defaults to 5 minutes.
+ *
+ * v1 and v2 signatures don't cover a timestamp, so they can't tell a
+ * replayed request from a new one: the timestamp header is checked when
+ * HubSpot sends it, but nothing stops a replay from dropping it.
+ *
+ * @param options Webhook options
+ */
+function Webhooks(options) {
+  if (!options || !options.client_secret) {
+    throw new Error('Webhooks require the client_secret of the app.');
+  }
+
+  EventEmitter.call(this);
+
+  this.clientSecret = options.client_secret;
+  this.baseUrl = options.baseUrl;
+  this.maxAge = options.maxAge !== undefined ? options.maxAge : 5 * 60 * 1000;
+}
+
+util.inherits(Webhooks, EventEmitter);
+
+module.exports = Webhooks;
+
+/**
+ * Request handler for node's `http` server. Answers valid requests with a
+ * 204 once their events are emitted, or with a 500 when a listener throws.
+ *
+ * @return function (req, res)
+ */
+Webhooks.prototype.handler = function () {
+  var self = this;
+
+  return function (req, res) {
+    self.receive(req, function (error) {
+      res.statusCode = error ? error.statusCode : 204;
+      res.end();
+    });
+  };
+};
+
+/**
+ * Express/Connect middleware. Invalid requests are answered right away,
+ * valid ones get their events in `req.hubspotEvents` and are passed on. An
+ * error thrown by a listener is passed to `next`. The
+ * signature is computed over the raw body, so any body parser running
+ * before has to keep it in `req.rawBody`.
+ *
+ * @return function (req, res, next)
+ */
+Webhooks.prototype.middleware = function () {
+  var self = this;
+
+  return function (req, res, next) {
+    self.receive(req, function (error, events) {
+      if (error && error.listenerError) {
+        return next(error.listenerError);
+      }
+
+      if (error) {
+        res.statusCode = error.statusCode;
+        return res.end();
+      }
+
+      req.hubspotEvents = events;
+      next();
+    });
+  };
+};
+
+/**
+ * Reads, verifies and dispatches a webhook request.
+ *
+ * @param req The incoming request
+ * @param callback Called with the received events, or an error carrying the
+ *                 `statusCode` to answer with. The error thrown by a listener
+ *                 is kept in its `listenerError`.
+ */
+Webhooks.prototype.receive = function (req, callback) {
+  var self = this;
+
+  readBody(req, function (error, body) {
+    if (error) {
+      return callback(error);
+    }
+
+    error = self.verify(req, body);
+    if (error) {
+      return callback(error);
+    }
+
+    var payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (e) {
+      return callback(webhookError('Webhook body is not valid JSON.', 400));
+    }
+
+    var events;
+    try {
+      events = self.dispatch(payload);
+    } catch (e) {
+      error = webhookError('A webhook listener failed: ' + (e && e.message), 500);
+      error.listenerError = e;
+      return callback(error);
+    }
+
+    callback(null, events);
+  });
+};
+
+/**
+ * Checks the signature (v1 and v2 schemes) and age of a request.
+ *
+ * @param req The incoming request
+ * @param {string} body The raw request body
+ * @return {Error|null} Why the request was rejected, null if it is valid
+ */
+Webhooks.prototype.verify = function (req, body) {
+  var signature = req.headers['x-hubspot-signature'];
+  var version = req.headers['x-hubspot-signature-version'] || 'v1';
+  var timestamp = req.headers['x-hubspot-request-timestamp'];
+
+  if (!signature) {
+    return webhookError('Missing X-HubSpot-Signature header.', 401);
+  }
+
+  if (version !== 'v1' && version !== 'v2') {
+    return webhookError('Unsupported signature version ' + version + '.', 401);
+  }
+
+  if (timestamp !== undefined) {
+    var age = Date.now() - Number(timestamp);
+
+    if (!/^\d+$/.test(timestamp)) {
+      return webhookError('Invalid X-HubSpot-Request-Timestamp header.', 401);
+    }
+
+    if (age > this.maxAge) {
+      return webhookError('Stale webhook request.', 401);
+    }
+
+    if (-age > this.maxAge) {
+      return webhookError('Webhook request timestamp is in the future.', 401);
+    }
+  }
+
+  var expected = this.signature(version, req.method, this.requestUrl(req), body);
+  if (!safeEqual(signature, expected)) {
+    return webhookError('Invalid webhook signature.', 401);
+  }
+
+  return null;
+};
+
+/**
+ * Computes the signature HubSpot sends for a request.
+ *
+ * v1: sha256(client secret + body)
+ * v2: sha256(client secret + method + URL + body)
+ * @see https://developers.hubspot.com/docs/methods/webhooks/webhooks-overview#security
+ */
+Webhooks.prototype.signature = function (version, method, url, body) {
+  var source = version === 'v2' ? this.clientSecret + method + url + body : this.clientSecret + body;
+
+  return crypto.createHash('sha256').update(source, 'utf8').digest('hex');
+};
+
+Webhooks.prototype.requestUrl = function (req) {
+  var path = req.originalUrl || req.url;
+
+  if (this.baseUrl) {
+    return this.baseUrl.replace(/\/$/, '') + path;
+  }
+
+  var protocol = req.headers['x-forwarded-proto'] || (req.connection && req.connection.encrypted ? 'https' : 'http');
+  return protocol + '://' + req.headers.host + path;
+};
+
+/**
+ * Emits the events of a webhook payload.
+ *
+ * @param payload Parsed webhook body
+ * @return Array of the events emitted
+ */
+Webhooks.prototype.dispatch = function (payload) {
+  var self = this;
+
+  if (!Array.isArray(payload)) {
+    this.emit('workflow', payload);
+    return [payload];
+  }
+
+  payload.forEach(function (event) {
+    self.emit(event.subscriptionType, event);
+    self.emit('event', event);
+  });
+
+  return payload;
+};
+
+function readBody(req, callback) {
+  if (req.rawBody !== undefined) {
+    return callback(null, String(req.rawBody));
+  }
+
+  if (typeof req.body === 'string' || Buffer.isBuffer(req.body)) {
+    return callback(null, String(req.body));
+  }
+
+  if (req.body !== undefined) {
+    return callback(webhookError('The raw webhook body is needed to verify its signature. Keep it in req.rawBody.', 500));
+  }
+
+  var chunks = [];
+  req.on('data', function (chunk) {
+    chunks.push(chunk);
+  });
+  req.on('error', function () {
+    callback(webhookError('Unable to read the webhook body.', 400));
+  });
+  req.on('end', function () {
+    callback(null, Buffer.concat(chunks).toString('utf8'));
+  });
+}
+
+function safeEqual(a, b) {
+  a = Buffer.from(String(a));
+  b = Buffer.from(String(b));
+
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function webhookError(message, statusCode) {
+  var error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
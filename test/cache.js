@@ -0,0 +1,71 @@
+var assert = require('assert');
+var ResponseCache = require('../lib/hubspot/cache').ResponseCache;
+var mockServer = require('./support/mock-server');
+
+describe('cache', function () {
+  var mock = mockServer({}, { cache: true });
+
+  it('shares a single request between identical calls', function () {
+    return Promise.all([mock.api.deals_properties(), mock.api.deals_properties()]).then(function (responses) {
+      assert.strictEqual(mock.server.requests.length, 1);
+      assert.deepEqual(responses[0], responses[1]);
+      assert.notStrictEqual(responses[0], responses[1]);
+      return mock.api.deals_properties();
+    }).then(function () {
+      assert.strictEqual(mock.server.requests.length, 1);
+    });
+  });
+
+  it('requests again once invalidated', function () {
+    return mock.api.companies_properties().then(function () {
+      return mock.api.cache.invalidate('companies_properties');
+    }).then(function () {
+      return mock.api.companies_properties();
+    }).then(function () {
+      assert.strictEqual(mock.server.requests.length, 2);
+    });
+  });
+
+  it('keys the responses by params sorted at any depth', function () {
+    var cache = new ResponseCache();
+
+    assert.strictEqual(
+      cache.key('deals_get', { deal_id: 1, filter: { b: 2, a: [{ d: 4, c: 3 }] } }),
+      cache.key('deals_get', { filter: { a: [{ c: 3, d: 4 }], b: 2 }, deal_id: 1 })
+    );
+    assert.notStrictEqual(
+      cache.key('deals_get', { deal_id: 1, filter: { a: 1 } }),
+      cache.key('deals_get', { deal_id: 1, filter: { a: 2 } })
+    );
+  });
+
+  it('does not cache other endpoints', function () {
+    return mock.api.deals_pipelines().then(function () {
+      return mock.api.deals_pipelines();
+    }).then(function () {
+      assert.strictEqual(mock.server.requests.length, 2);
+    });
+  });
+
+  it('drops the responses a write changes', function () {
+    return mock.api.contacts_properties().then(function () {
+      return mock.api.contacts_property_create({
+        name: 'favorite_color',
+        label: 'Favorite color',
+        groupName: 'contactinformation',
+        type: 'string',
+        fieldType: 'text'
+      });
+    }).then(function () {
+      return mock.api.contacts_properties();
+    }).then(function () {
+      assert.deepEqual(mock.server.requests.map(function (request) {
+        return request.method + ' ' + request.path;
+      }), [
+        'GET contacts/v1/properties',
+        'POST contacts/v2/properties',
+        'GET contacts/v1/properties'
+      ]);
+    });
+  });
+});
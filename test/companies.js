@@ -0,0 +1,87 @@
+var assert = require('assert');
+var hubspotAPI = require('../lib/hubspot');
+var mockServer = require('./support/mock-server');
+
+describe('companies', function () {
+  var mock = mockServer();
+
+  it('creates, updates and deletes a company', function () {
+    var companyId;
+
+    return mock.api.companies_create({ properties: [{ name: 'name', value: 'Acme' }] }).then(function (company) {
+      companyId = company.companyId;
+      return mock.api.companies_update({ company_id: companyId, properties: [{ name: 'domain', value: 'acme.com' }] });
+    }).then(function () {
+      return mock.api.companies_get({ company_id: companyId });
+    }).then(function (company) {
+      assert.strictEqual(company.properties.name.value, 'Acme');
+      assert.strictEqual(company.properties.domain.value, 'acme.com');
+      return mock.api.companies_delete({ company_id: companyId });
+    }).then(function () {
+      return mock.api.companies_get({ company_id: companyId });
+    }).then(function () {
+      assert.fail('The company should be deleted');
+    }, function (error) {
+      assert.ok(error instanceof hubspotAPI.HubspotNotFoundError);
+    });
+  });
+
+  it('looks companies up by domain', function () {
+    var companies = mock.server.seed({
+      companies: [
+        { name: 'Acme', domain: 'acme.com' },
+        { name: 'Other', domain: 'other.com' },
+        { name: 'Acme EU', domain: 'acme.com' }
+      ]
+    }).companies;
+
+    return mock.api.companies_by_domain({ domain: 'acme.com', limit: 1, requestOptions: { properties: ['name'] } }).then(function (page) {
+      assert.deepEqual(mock.server.requests[0].body, { limit: 1, requestOptions: { properties: ['name'] } });
+      assert.deepEqual(page.results.map(function (company) {
+        return company.properties;
+      }), [{ name: companies[0].properties.name }]);
+      assert.strictEqual(page.hasMore, true);
+
+      return mock.api.companies_by_domain({ domain: 'acme.com', offset: page.offset });
+    }).then(function (page) {
+      assert.deepEqual(page.results.map(function (company) {
+        return company.companyId;
+      }), [companies[2].companyId]);
+      assert.strictEqual(page.hasMore, false);
+    });
+  });
+
+  it('pages through every company of a domain', function (done) {
+    var seeded = mock.server.seed({ companies: [{ domain: 'acme.com' }, { domain: 'acme.com' }, { domain: 'acme.com' }] }).companies;
+    var ids = [];
+
+    mock.api.paginate('companies_by_domain', { domain: 'acme.com', limit: 2 })
+      .on('data', function (company) {
+        ids.push(company.companyId);
+      })
+      .on('error', done)
+      .on('end', function () {
+        assert.deepEqual(ids, seeded.map(function (company) {
+          return company.companyId;
+        }));
+        done();
+      });
+  });
+
+  it('associates contacts with a company and removes them again', function () {
+    var seeded = mock.server.seed({ companies: [{ name: 'Acme' }], contacts: [{ email: 'a@example.com' }, { email: 'b@example.com' }] });
+    var companyId = seeded.companies[0].companyId;
+
+    return Promise.all(seeded.contacts.map(function (contact) {
+      return mock.api.companies_add_contact({ company_id: companyId, contact_id: contact.vid });
+    })).then(function () {
+      return mock.api.companies_remove_contact({ company_id: companyId, contact_id: seeded.contacts[0].vid });
+    }).then(function () {
+      assert.strictEqual(mock.server.requests[2].method, 'DELETE');
+      assert.strictEqual(mock.server.requests[2].path, 'companies/v2/companies/' + companyId + '/contacts/' + seeded.contacts[0].vid);
+      return mock.api.companies_contact_vids({ company_id: companyId });
+    }).then(function (page) {
+      assert.deepEqual(page.vids, [seeded.contacts[1].vid]);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+var assert = require('assert');
+var hubspotAPI = require('../lib/hubspot');
+var mockServer = require('./support/mock-server');
+
+describe('deals', function () {
+  var mock = mockServer();
+
+  it('creates, updates and deletes a deal', function () {
+    var dealId;
+
+    return mock.api.deals_create({ properties: [{ name: 'dealname', value: 'Big one' }] }).then(function (deal) {
+      dealId = deal.dealId;
+      return mock.api.deals_update({ deal_id: dealId, properties: [{ name: 'amount', value: '20' }] });
+    }).then(function (deal) {
+      assert.strictEqual(deal.properties.dealname.value, 'Big one');
+      assert.strictEqual(deal.properties.amount.value, '20');
+      return mock.api.deals_delete({ deal_id: dealId });
+    }).then(function () {
+      return mock.api.deals_get({ deal_id: dealId });
+    }).then(function () {
+      assert.fail('The deal should be deleted');
+    }, function (error) {
+      assert.ok(error instanceof hubspotAPI.HubspotNotFoundError);
+    });
+  });
+
+  it('rejects calls missing a path param without sending them', function () {
+    return mock.api.deals_associate({ deal_id: 1, id: 2 }).then(function () {
+      assert.fail('The call should be rejected');
+    }, function (error) {
+      assert.ok(/object_type/.test(error.message));
+      assert.strictEqual(mock.server.requests.length, 0);
+    });
+  });
+
+  it('upper-cases the object type of associations', function () {
+    var deal = mock.server.seed({ deals: [{ dealname: 'Big one' }] }).deals[0];
+
+    return mock.api.deals_associate({ deal_id: deal.dealId, object_type: 'contact', id: [7, 8, 9] }).then(function () {
+      return mock.api.deals_dissociate({ deal_id: deal.dealId, object_type: 'contact', id: 8 });
+    }).then(function () {
+      assert.strictEqual(mock.server.requests[0].path, 'deals/v1/deal/' + deal.dealId + '/associations/CONTACT');
+      return mock.api.deals_get({ deal_id: deal.dealId });
+    }).then(function (deal) {
+      assert.deepEqual(deal.associations.associatedVids, [7, 9]);
+    });
+  });
+
+  it('resolves the labels of the pipeline stages', function () {
+    return mock.api.deals_stage_labels().then(function (labels) {
+      assert.strictEqual(labels.closedwon, 'Closed Won');
+      assert.strictEqual(labels.appointmentscheduled, 'Appointment Scheduled');
+    });
+  });
+});
@@ -0,0 +1,111 @@
+var assert = require('assert');
+var hubspotAPI = require('../lib/hubspot');
+var mockServer = require('./support/mock-server');
+
+var engagements = hubspotAPI.engagements;
+
+describe('engagements', function () {
+  describe('builders', function () {
+    it('build the body of each type', function () {
+      var options = { ownerId: 42, timestamp: new Date(1500000000000), associations: { contactIds: [4711] } };
+
+      assert.deepEqual(engagements.note({ body: 'Met at the fair' }, options), {
+        engagement: { active: true, ownerId: 42, type: 'NOTE', timestamp: 1500000000000 },
+        associations: { contactIds: [4711] },
+        attachments: [],
+        metadata: { body: 'Met at the fair' }
+      });
+
+      assert.strictEqual(engagements.call({ status: 'COMPLETED', durationMilliseconds: 38000 }).engagement.type, 'CALL');
+      assert.strictEqual(engagements.email({ from: { email: 'a@example.com' }, to: [{ email: 'b@example.com' }] }).engagement.type, 'EMAIL');
+      assert.strictEqual(engagements.task({ subject: 'Follow up', status: 'NOT_STARTED' }, { active: false }).engagement.active, false);
+    });
+
+    it('send the times of meetings as ms since epoch', function () {
+      var meeting = engagements.meeting({ title: 'Demo', startTime: new Date(1000), endTime: 2000 });
+
+      assert.deepEqual(meeting.metadata, { title: 'Demo', startTime: 1000, endTime: 2000 });
+    });
+
+    it('throw a validation error listing every problem', function () {
+      assert.throws(function () {
+        engagements.call({ status: 'DONE', durationMilliseconds: -1 });
+      }, function (error) {
+        assert.ok(error instanceof hubspotAPI.HubspotValidationError);
+        assert.deepEqual(error.failures, [
+          { property: 'status', error: 'INVALID_OPTION', message: error.problems[0] },
+          { property: 'durationMilliseconds', error: 'INVALID_VALUE', message: 'durationMilliseconds must be a non-negative integer' }
+        ]);
+        return true;
+      });
+    });
+
+    it('reject meetings ending before they start', function () {
+      assert.throws(function () {
+        engagements.meeting({ startTime: new Date(2000), endTime: new Date(1000) });
+      }, /endTime must not be before startTime/);
+    });
+
+    it('reject incomplete notes, tasks and emails', function () {
+      assert.deepEqual(engagements.validate({ engagement: { type: 'NOTE' }, metadata: {} }).problems, ['body is required']);
+      assert.deepEqual(engagements.validate({ engagement: { type: 'TASK' }, metadata: { subject: 'x', forObjectType: 'DEAL' } }).problems, [
+        'forObjectType must be one of CONTACT, COMPANY'
+      ]);
+      assert.deepEqual(engagements.validate({ engagement: { type: 'EMAIL' }, metadata: { from: {}, cc: ['b@example.com'] } }).problems, [
+        'from must be an object with an email',
+        'cc must be a list of objects with an email'
+      ]);
+    });
+
+    it('reject unknown and missing types', function () {
+      assert.deepEqual(engagements.validate({ engagement: { type: 'MEETNG' }, metadata: {} }).problems, [
+        'type must be one of NOTE, CALL, EMAIL, TASK, MEETING'
+      ]);
+      assert.ok(engagements.validate({ metadata: {} }) instanceof hubspotAPI.HubspotValidationError);
+    });
+  });
+
+  describe('endpoints', function () {
+    var mock = mockServer();
+
+    // The mock has no engagement endpoints, the requests are all that matters
+    function sent(call) {
+      return call.catch(function (error) {
+        return error;
+      }).then(function (result) {
+        return { result: result, requests: mock.server.requests };
+      });
+    }
+
+    it('sends the Dates of engagements_create as ms since epoch', function () {
+      return sent(mock.api.engagements_create({
+        engagement: { type: 'MEETING', timestamp: new Date(500) },
+        metadata: { title: 'Demo', startTime: new Date(1000), endTime: new Date(2000) }
+      })).then(function (sent) {
+        assert.deepEqual(sent.requests[0].body, {
+          engagement: { type: 'MEETING', timestamp: 500 },
+          metadata: { title: 'Demo', startTime: 1000, endTime: 2000 }
+        });
+      });
+    });
+
+    it('sends the Dates of engagements_update as ms since epoch', function () {
+      return sent(mock.api.engagements_update({ engagement_id: 1, metadata: { endTime: new Date(3000) } })).then(function (sent) {
+        assert.deepEqual(sent.requests[0].body, { metadata: { endTime: 3000 } });
+      });
+    });
+
+    it('does not send invalid engagements', function () {
+      return sent(mock.api.engagements_create({ engagement: { type: 'MEETNG' }, metadata: {} })).then(function (sent) {
+        assert.ok(sent.result instanceof hubspotAPI.HubspotValidationError);
+        assert.deepEqual(sent.requests, []);
+      });
+    });
+
+    it('upper-cases the object type of associated engagements', function () {
+      return sent(mock.api.engagements_associated({ object_type: 'deal', object_id: 7 })).then(function (sent) {
+        assert.strictEqual(sent.requests[0].path, 'engagements/v1/engagements/associated/DEAL/7/paged');
+      });
+    });
+  });
+});
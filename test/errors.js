@@ -0,0 +1,56 @@
+var assert = require('assert');
+var hubspotAPI = require('../lib/hubspot');
+var mockServer = require('./support/mock-server');
+
+describe('errors', function () {
+  var mock = mockServer();
+
+  it('maps error responses to error classes', function () {
+    return mock.api.deals_get({ deal_id: 404 }).then(function () {
+      assert.fail('The deal should not exist');
+    }, function (error) {
+      assert.ok(error instanceof hubspotAPI.HubspotNotFoundError);
+      assert.ok(error instanceof hubspotAPI.HubspotError);
+      assert.strictEqual(error.statusCode, 404);
+      assert.strictEqual(error.method, 'GET');
+      assert.strictEqual(error.path, 'deals/v1/deal/404');
+      assert.ok(error.correlationId);
+    });
+  });
+
+  it('reports invalid emails as validation errors', function () {
+    return mock.api.contacts_contact({ email: 'not an email' }).then(function () {
+      assert.fail('The contact should be rejected');
+    }, function (error) {
+      assert.ok(error instanceof hubspotAPI.HubspotValidationError);
+      assert.strictEqual(error.failures[0].property, 'email');
+    });
+  });
+
+  it('reports rate limits', function () {
+    mock.server.rateLimit({ path: 'deals/v1/pipelines', retryAfter: 2 });
+
+    return mock.api.deals_pipelines().then(function () {
+      assert.fail('The request should be rate limited');
+    }, function (error) {
+      assert.ok(error instanceof hubspotAPI.HubspotRateLimitError);
+      assert.strictEqual(error.policyName, 'SECONDLY');
+      assert.strictEqual(error.retryAfter, 2000);
+      assert.strictEqual(error.secondlyRemaining, 0);
+      assert.strictEqual(error.dailyRemaining, 249000);
+    });
+  });
+
+  describe('with an API key', function () {
+    var strict = mockServer({ apiKey: 'right' }, { api_key: 'wrong' });
+
+    it('rejects unauthenticated requests', function () {
+      return strict.api.deals_pipelines().then(function () {
+        assert.fail('The request should be rejected');
+      }, function (error) {
+        assert.ok(error instanceof hubspotAPI.HubspotAuthError);
+        assert.strictEqual(error.statusCode, 401);
+      });
+    });
+  });
+});
@@ -0,0 +1,77 @@
+var assert = require('assert');
+var hubspotAPI = require('../lib/hubspot');
+var mockServer = require('./support/mock-server');
+
+describe('export', function () {
+  var mock = mockServer({
+    now: function () {
+      return 1500000000000;
+    }
+  });
+
+  beforeEach(function () {
+    mock.server.seed({
+      contacts: [
+        { email: 'jane@example.com', firstname: 'Jane' },
+        { email: 'john@example.com', firstname: 'John "Johnny", Jr.' }
+      ]
+    });
+  });
+
+  function read(stream, callback) {
+    var output = '';
+
+    stream.on('data', function (chunk) {
+      output += chunk;
+    });
+    stream.on('error', callback);
+    stream.on('end', function () {
+      callback(null, output);
+    });
+  }
+
+  it('writes a JSON line per record', function (done) {
+    read(mock.api.export('contacts', { properties: ['email', 'lastname'] }), function (error, output) {
+      assert.ifError(error);
+      assert.deepEqual(output.trim().split('\n').map(JSON.parse), [
+        { id: 1, properties: { email: 'jane@example.com', lastname: null } },
+        { id: 2, properties: { email: 'john@example.com', lastname: null } }
+      ]);
+      done();
+    });
+  });
+
+  it('writes CSV with every property of the type', function (done) {
+    read(mock.api.export('contacts', { format: 'csv' }), function (error, output) {
+      assert.ifError(error);
+      assert.strictEqual(output, [
+        'id,createdate,email,firstname,lastmodifieddate,lastname',
+        '1,1500000000000,jane@example.com,Jane,1500000000000,',
+        '2,1500000000000,john@example.com,"John ""Johnny"", Jr.",1500000000000,',
+        ''
+      ].join('\r\n'));
+      done();
+    });
+  });
+
+  it('sends its requests with the transport settings of the options', function (done) {
+    var unreachable = mock.client();
+
+    unreachable.httpUri = 'http://127.0.0.1:1';
+
+    read(unreachable.export('contacts', { properties: ['email'], baseUrl: mock.server.url, timeout: 5000 }), function (error, output) {
+      assert.ifError(error);
+      assert.strictEqual(output.trim().split('\n').length, 2);
+      done();
+    });
+  });
+
+  it('fails on errors of the listing endpoint', function (done) {
+    mock.server.fail({ path: 'contacts/v1/lists/all/contacts/all', status: 500 });
+
+    read(mock.api.export('contacts', { properties: ['email'] }), function (error) {
+      assert.ok(error instanceof hubspotAPI.HubspotServerError);
+      done();
+    });
+  });
+});
@@ -0,0 +1,89 @@
+var assert = require('assert');
+var url = require('url');
+var hubspotAPI = require('../lib/hubspot');
+
+describe('forms', function () {
+  var form = {
+    guid: 'f1',
+    formFieldGroups: [
+      { fields: [{ name: 'email', required: true }, { name: 'firstname', required: false }] },
+      {
+        fields: [{
+          name: 'interest',
+          required: false,
+          dependentFieldFilters: [{
+            filters: [{ operator: 'EQ', strValue: 'demo' }],
+            dependentFormField: { name: 'demo_date', required: true }
+          }]
+        }]
+      }
+    ]
+  };
+  var requests;
+  var api;
+
+  // Answers form reads with the form above and submissions with a 204
+  beforeEach(function () {
+    requests = [];
+    api = hubspotAPI({
+      api_key: 'key',
+      transport: {
+        request: function (options, callback) {
+          var path = url.parse(options.url).pathname;
+          var body = path === '/forms/v2/forms/f1' ? JSON.stringify(form) : '';
+
+          requests.push({ method: options.method, path: path, body: options.body && JSON.parse(options.body) });
+          process.nextTick(function () {
+            callback(null, { statusCode: body ? 200 : 204, headers: {}, body: Buffer.from(body) });
+          });
+        }
+      }
+    });
+  });
+
+  function submit(fields) {
+    return api.forms_submit({ portal_id: 62515, form_guid: 'f1', fields: fields });
+  }
+
+  it('submits the fields of the form', function () {
+    return submit({ email: 'jane@example.com', firstname: 'Jane' }).then(function () {
+      assert.deepEqual(requests.map(function (request) {
+        return request.method + ' ' + request.path;
+      }), ['GET /forms/v2/forms/f1', 'POST /submissions/v3/integration/submit/62515/f1']);
+      assert.deepEqual(requests[1].body, {
+        fields: [{ name: 'email', value: 'jane@example.com' }, { name: 'firstname', value: 'Jane' }]
+      });
+    });
+  });
+
+  it('accepts dependent fields, and their absence', function () {
+    return submit({ email: 'jane@example.com', interest: 'demo', demo_date: '2020-01-01' }).then(function () {
+      return submit([{ name: 'email', value: 'john@example.com' }, { name: 'interest', value: 'other' }]);
+    }).then(function () {
+      assert.strictEqual(requests.length, 4);
+    });
+  });
+
+  it('rejects unknown and missing required fields without submitting', function () {
+    return submit({ firstname: 'Jane', favorite_color: 'red' }).then(function () {
+      assert.fail('The submission should be rejected');
+    }, function (error) {
+      assert.ok(error instanceof hubspotAPI.HubspotValidationError);
+      assert.deepEqual(error.unknownFields, ['favorite_color']);
+      assert.deepEqual(error.missingFields, ['email']);
+      assert.deepEqual(error.failures, [
+        { property: 'favorite_color', error: 'UNKNOWN_FIELD', message: 'unknown field favorite_color' },
+        { property: 'email', error: 'REQUIRED', message: 'missing required field email' }
+      ]);
+      assert.strictEqual(requests.length, 1);
+    });
+  });
+
+  it('submits right away with skipValidation', function () {
+    return api.forms_submit({ portal_id: 62515, form_guid: 'f1', fields: { anything: 1 }, skipValidation: true }).then(function () {
+      assert.deepEqual(requests.map(function (request) {
+        return request.path;
+      }), ['/submissions/v3/integration/submit/62515/f1']);
+    });
+  });
+});
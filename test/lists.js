@@ -0,0 +1,90 @@
+var assert = require('assert');
+var mockServer = require('./support/mock-server');
+
+describe('lists', function () {
+  var mock = mockServer();
+
+  function vids(contacts) {
+    return contacts.map(function (contact) {
+      return contact.vid;
+    });
+  }
+
+  it('creates, reads and deletes a list', function () {
+    var listId;
+
+    return mock.api.contacts_lists_create({ name: 'Customers', dynamic: false }).then(function (list) {
+      listId = list.listId;
+      return mock.api.contacts_lists_get({ list_id: listId });
+    }).then(function (list) {
+      assert.strictEqual(list.name, 'Customers');
+      return mock.api.contacts_lists_delete({ list_id: listId });
+    }).then(function () {
+      return mock.api.contacts_lists_get({ list_id: listId });
+    }).then(function () {
+      assert.fail('The list should be deleted');
+    }, function (error) {
+      assert.strictEqual(error.statusCode, 404);
+    });
+  });
+
+  it('adds contacts in chunks of 500 and sums up the responses', function () {
+    var contacts = [];
+
+    for (var i = 0; i < 1200; i++) {
+      contacts.push({ email: 'contact' + i + '@example.com' });
+    }
+
+    var seeded = mock.server.seed({ contacts: contacts, lists: [{ name: 'Customers' }] });
+    var listId = seeded.lists[0].listId;
+
+    return mock.api.contacts_lists_add({
+      list_id: listId,
+      vids: vids(seeded.contacts).concat(99999),
+      emails: ['contact0@example.com', 'nobody@example.com']
+    }).then(function (summary) {
+      assert.deepEqual(mock.server.requests.map(function (request) {
+        return [(request.body.vids || []).length, (request.body.emails || []).length];
+      }), [[500, 0], [500, 0], [201, 0], [0, 2]]);
+
+      assert.deepEqual(summary, {
+        updated: vids(seeded.contacts),
+        discarded: [seeded.contacts[0].vid],
+        invalidVids: [99999],
+        invalidEmails: ['nobody@example.com']
+      });
+    });
+  });
+
+  it('removes contacts, including the one given as contact_id', function () {
+    var seeded = mock.server.seed({ contacts: [{ email: 'a@example.com' }, { email: 'b@example.com' }], lists: [{ name: 'Customers' }] });
+    var listId = seeded.lists[0].listId;
+
+    return mock.api.contacts_lists_add({ list_id: listId, vids: vids(seeded.contacts) }).then(function () {
+      return mock.api.contacts_lists_remove({ list_id: listId, contact_id: seeded.contacts[1].vid });
+    }).then(function (summary) {
+      assert.deepEqual(summary.updated, [seeded.contacts[1].vid]);
+      return mock.api.contacts_lists_contacts({ list_id: listId });
+    }).then(function (page) {
+      assert.deepEqual(vids(page.contacts), [seeded.contacts[0].vid]);
+    });
+  });
+
+  it('stops at the first failed chunk', function () {
+    var listId = mock.server.seed({ lists: [{ name: 'Customers' }] }).lists[0].listId;
+    var many = [];
+
+    for (var i = 1; i <= 1000; i++) {
+      many.push(i);
+    }
+
+    mock.server.fail({ path: 'contacts/v1/lists/' + listId + '/add', status: 500 });
+
+    return mock.api.contacts_lists_add({ list_id: listId, vids: many }).then(function () {
+      assert.fail('The call should fail');
+    }, function (error) {
+      assert.strictEqual(error.statusCode, 500);
+      assert.strictEqual(mock.server.requests.length, 1);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+var assert = require('assert');
+var mockServer = require('./support/mock-server');
+
+describe('logging', function () {
+  var mock = mockServer();
+  var logged;
+  var logger = {};
+
+  ['debug', 'info', 'warn', 'error'].forEach(function (level) {
+    logger[level] = function (entry, message) {
+      logged.push({ level: level, message: message, entry: entry });
+    };
+  });
+
+  beforeEach(function () {
+    logged = [];
+  });
+
+  function assertRedacted() {
+    var output = JSON.stringify(logged);
+
+    ['secret-key', 'secret-access-token', 'secret-refresh-token', 'secret-client-secret'].forEach(function (secret) {
+      assert.strictEqual(output.indexOf(secret), -1, secret + ' was logged');
+    });
+  }
+
+  describe('logger', function () {
+    it('logs structured entries of requests and responses', function () {
+      var api = mock.client({ api_key: 'secret-key', logger: logger });
+
+      return api.deals_pipelines().then(function () {
+        assert.deepEqual(logged.map(function (line) {
+          return line.level + ' ' + line.message;
+        }), ['debug hubspot request', 'debug hubspot response']);
+
+        var entry = logged[1].entry;
+        assert.strictEqual(entry.method, 'GET');
+        assert.strictEqual(entry.path, 'deals/v1/pipelines');
+        assert.strictEqual(entry.status, 200);
+        assert.strictEqual(typeof entry.duration, 'number');
+        assertRedacted();
+      });
+    });
+
+    it('never logs the API key, even when an error echoes it', function () {
+      var api = mock.client({ api_key: 'secret-key', logger: logger, retry: { retries: 1, minDelay: 1 } });
+
+      mock.server.fail({ path: 'deals/v1/pipelines', status: 503, body: { message: 'Unavailable for hapikey=secret-key' }, times: 2 });
+
+      return api.deals_pipelines({ hapikey: 'secret-key' }).then(function () {
+        assert.fail('The request should fail');
+      }, function () {
+        assert.deepEqual(logged.map(function (line) {
+          return line.level;
+        }), ['debug', 'warn', 'debug', 'error']);
+        assertRedacted();
+      });
+    });
+
+    it('never logs OAuth tokens and the client secret', function () {
+      var api = mock.client({
+        api_key: undefined,
+        logger: logger,
+        client_id: 'client-id',
+        client_secret: 'secret-client-secret',
+        redirect_uri: 'https://example.com/oauth/callback',
+        access_token: 'secret-access-token',
+        refresh_token: 'secret-refresh-token'
+      });
+
+      mock.server.expireAccessToken('secret-access-token');
+
+      return api.deals_pipelines({ access_token: 'secret-access-token', refresh_token: 'secret-refresh-token' }).then(function () {
+        assert.ok(logged.some(function (line) {
+          return line.message === 'hubspot request replayed with a refreshed token';
+        }));
+        assertRedacted();
+      });
+    });
+  });
+
+  describe('interceptors', function () {
+    it('run in order and may change requests and responses', function () {
+      var calls = [];
+      var api = mock.client({
+        interceptors: [{
+          onRequest: function (request) {
+            calls.push('first onRequest');
+            request.query.includeInactive = 'true';
+          },
+          onResponse: function (response) {
+            calls.push('first onResponse');
+            response.body = { pipelines: response.body };
+          }
+        }]
+      });
+
+      api.use({
+        onRequest: function (request) {
+          calls.push('second onRequest ' + request.query.includeInactive);
+          assert.strictEqual(request.query.hapikey, undefined);
+        },
+        onResponse: function (response, request) {
+          calls.push('second onResponse ' + request.path);
+          response.body.count = response.body.pipelines.length;
+        }
+      });
+
+      return api.deals_pipelines().then(function (result) {
+        assert.deepEqual(calls, [
+          'first onRequest',
+          'second onRequest true',
+          'first onResponse',
+          'second onResponse deals/v1/pipelines'
+        ]);
+        assert.deepEqual(mock.server.requests[0].query, { includeInactive: 'true' });
+        assert.strictEqual(result.count, result.pipelines.length);
+      });
+    });
+
+    it('may change the body of a request', function () {
+      var api = mock.client().use({
+        onRequest: function (request) {
+          request.body.properties.push({ name: 'dealstage', value: 'closedwon' });
+        }
+      });
+
+      return api.deals_create({ properties: [{ name: 'dealname', value: 'Big one' }] }).then(function (deal) {
+        assert.strictEqual(deal.properties.dealstage.value, 'closedwon');
+      });
+    });
+
+    it('call onRequest on every attempt and onError once the request failed', function () {
+      var attempts = [];
+      var errors = [];
+      var api = mock.client({ retry: { retries: 1, minDelay: 1 } }).use({
+        onRequest: function (request) {
+          attempts.push(request.attempt);
+        },
+        onError: function (error, request) {
+          errors.push(error.statusCode + ' ' + request.path);
+          throw new Error('Replaced');
+        }
+      });
+
+      mock.server.fail({ path: 'deals/v1/pipelines', status: 503, times: 2 });
+
+      return api.deals_pipelines().then(function () {
+        assert.fail('The request should fail');
+      }, function (error) {
+        assert.strictEqual(error.message, 'Replaced');
+        assert.deepEqual(attempts, [1, 2]);
+        assert.deepEqual(errors, ['503 deals/v1/pipelines']);
+      });
+    });
+  });
+});
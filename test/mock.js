@@ -0,0 +1,97 @@
+var assert = require('assert');
+var childProcess = require('child_process');
+var path = require('path');
+var mockServer = require('./support/mock-server');
+
+describe('mock server', function () {
+  var time;
+  var mock = mockServer({
+    now: function () {
+      return time;
+    }
+  });
+
+  beforeEach(function () {
+    time = 1500000000000;
+  });
+
+  it('creates and reads a contact', function () {
+    return mock.api.contacts_contact({ email: 'jane@example.com', firstname: 'Jane' }).then(function (contact) {
+      assert.strictEqual(contact.properties.firstname.value, 'Jane');
+      return mock.api.get_contact_by_vid({ contact_id: contact.vid });
+    }).then(function (contact) {
+      assert.strictEqual(contact.properties.email.value, 'jane@example.com');
+    });
+  });
+
+  it('lists the recently modified records newest first', function () {
+    var seeded = mock.server.seed({
+      contacts: [{ email: 'a@example.com' }, { email: 'b@example.com' }],
+      companies: [{ name: 'a' }, { name: 'b' }],
+      deals: [{ dealname: 'a' }, { dealname: 'b' }]
+    });
+
+    time += 1000;
+
+    return Promise.all([
+      mock.api.contacts_properties_update({ contact_id: seeded.contacts[0].vid, properties: [{ property: 'firstname', value: 'A' }] }),
+      mock.api.companies_update({ company_id: seeded.companies[0].companyId, properties: [{ name: 'name', value: 'A' }] }),
+      mock.api.deals_update({ deal_id: seeded.deals[0].dealId, properties: [{ name: 'dealname', value: 'A' }] })
+    ]).then(function () {
+      return Promise.all([
+        mock.api.contacts_recently_updated({ count: 1 }),
+        mock.api.companies_recent_modified(),
+        mock.api.deals_recent_modified({ since: time })
+      ]);
+    }).then(function (pages) {
+      assert.deepEqual(pages[0].contacts.map(function (contact) {
+        return contact.vid;
+      }), [seeded.contacts[0].vid]);
+      assert.strictEqual(pages[0]['has-more'], true);
+      assert.strictEqual(pages[0]['time-offset'], time);
+
+      assert.deepEqual(pages[1].results.map(function (company) {
+        return company.companyId;
+      }), [seeded.companies[0].companyId, seeded.companies[1].companyId]);
+
+      assert.deepEqual(pages[2].results.map(function (deal) {
+        return deal.dealId;
+      }), [seeded.deals[0].dealId]);
+    });
+  });
+
+  it('rejects pages beyond the recent window', function () {
+    return mock.api.deals_recent_modified({ offset: 9950, count: 100 }).then(function () {
+      assert.fail('The page should be rejected');
+    }, function (error) {
+      assert.strictEqual(error.statusCode, 400);
+    });
+  });
+
+  it('answers with a fault as many times as asked', function () {
+    mock.server.fail({ path: 'deals/v1/pipelines', status: 503, times: 2 });
+
+    return mock.api.deals_pipelines().catch(function (error) {
+      assert.strictEqual(error.statusCode, 503);
+      return mock.api.deals_pipelines();
+    }).catch(function (error) {
+      assert.strictEqual(error.statusCode, 503);
+      return mock.api.deals_pipelines();
+    }).then(function (pipelines) {
+      assert.strictEqual(pipelines[0].pipelineId, 'default');
+    });
+  });
+
+  it('is only loaded on first use', function () {
+    var script = [
+      "var hubspot = require('./lib/hubspot');",
+      "var loaded = function () { return !!require.cache[require.resolve('./lib/hubspot/testing')]; };",
+      "var before = loaded();",
+      "hubspot.testing;",
+      "console.log(JSON.stringify([before, loaded()]));"
+    ].join('\n');
+    var output = childProcess.execFileSync(process.execPath, ['-e', script], { cwd: path.join(__dirname, '..') });
+
+    assert.deepEqual(JSON.parse(output), [false, true]);
+  });
+});
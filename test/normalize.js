@@ -0,0 +1,64 @@
+var assert = require('assert');
+var mockServer = require('./support/mock-server');
+
+describe('normalize', function () {
+  var mock = mockServer({}, { normalize: true });
+
+  it('reads plain, coerced values', function () {
+    var deal = mock.server.seed({ deals: [{ dealname: 'Big one', amount: '12.5', closedate: 1500000000000 }] }).deals[0];
+
+    return mock.api.deals_get({ deal_id: deal.dealId }).then(function (deal) {
+      assert.strictEqual(deal.properties.dealname, 'Big one');
+      assert.strictEqual(deal.properties.amount, 12.5);
+      assert.ok(deal.properties.closedate instanceof Date);
+    });
+  });
+
+  it('writes plain values', function () {
+    return mock.api.contacts_contact({ properties: { email: 'jane@example.com', firstname: 'Jane' } }).then(function (contact) {
+      assert.deepEqual(mock.server.requests[0].body.properties, [
+        { property: 'email', value: 'jane@example.com' },
+        { property: 'firstname', value: 'Jane' }
+      ]);
+      assert.strictEqual(contact.properties.firstname, 'Jane');
+    });
+  });
+
+  it('coerces booleans and multi-select enumerations both ways', function () {
+    mock.server.properties.deals.push(
+      { name: 'renewal', label: 'Renewal', type: 'bool', fieldType: 'booleancheckbox', groupName: 'dealinformation' },
+      { name: 'products', label: 'Products', type: 'enumeration', fieldType: 'checkbox', groupName: 'dealinformation' }
+    );
+
+    return mock.api.deals_create({ properties: { dealname: 'Big one', renewal: true, products: ['seats', 'support'] } }).then(function (deal) {
+      assert.deepEqual(mock.server.requests[0].body.properties, [
+        { name: 'dealname', value: 'Big one' },
+        { name: 'renewal', value: true },
+        { name: 'products', value: 'seats;support' }
+      ]);
+      assert.strictEqual(deal.properties.renewal, true);
+      assert.deepEqual(deal.properties.products, ['seats', 'support']);
+    });
+  });
+
+  it('keeps a write successful when the property definitions fail to load', function () {
+    var deal = mock.server.seed({ deals: [{ dealname: 'Big one' }] }).deals[0];
+
+    mock.server.fail({ path: 'deals/v1/properties', status: 500 });
+
+    return mock.api.deals_update({ deal_id: deal.dealId, properties: { amount: 20 } }).then(function (deal) {
+      assert.strictEqual(deal.properties.amount, '20');
+    });
+  });
+
+  describe('without the option', function () {
+    var plain = mockServer();
+
+    it('sends no call params as contact properties', function () {
+      return plain.api.contacts_contact({ email: 'jane@example.com', verb: 'POST' }).then(function (contact) {
+        assert.deepEqual(plain.server.requests[0].body.properties, [{ property: 'email', value: 'jane@example.com' }]);
+        assert.strictEqual(contact.properties.verb, undefined);
+      });
+    });
+  });
+});
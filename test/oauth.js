@@ -0,0 +1,147 @@
+var assert = require('assert');
+var mockServer = require('./support/mock-server');
+
+describe('oauth', function () {
+  var mock = mockServer();
+
+  function oauthClient(options) {
+    return mock.client({
+      api_key: undefined,
+      client_id: 'client-id',
+      client_secret: 'client-secret',
+      redirect_uri: 'https://example.com/oauth/callback',
+      tokenStore: options.tokenStore,
+      access_token: options.access_token,
+      refresh_token: options.refresh_token,
+      expires_at: options.expires_at
+    });
+  }
+
+  function paths() {
+    return mock.server.requests.map(function (request) {
+      return request.path;
+    });
+  }
+
+  it('refreshes a token about to expire before the request', function () {
+    var api = oauthClient({ access_token: 'old', refresh_token: 'refresh', expires_at: Date.now() + 60 * 1000 });
+
+    mock.server.expireAccessToken('old');
+
+    return api.deals_pipelines().then(function () {
+      assert.deepEqual(paths(), ['oauth/v1/token', 'deals/v1/pipelines']);
+      assert.deepEqual(mock.server.requests[0].body, {
+        grant_type: 'refresh_token',
+        client_id: 'client-id',
+        client_secret: 'client-secret',
+        redirect_uri: 'https://example.com/oauth/callback',
+        refresh_token: 'refresh'
+      });
+      assert.strictEqual(api.oauth.tokens.access_token, 'mock-access-token-1');
+      assert.strictEqual(api.oauth.tokens.refresh_token, 'refresh');
+    });
+  });
+
+  it('refreshes the token and replays the request after a 401', function () {
+    var api = oauthClient({ access_token: 'old', refresh_token: 'refresh', expires_at: Date.now() + 60 * 60 * 1000 });
+
+    mock.server.expireAccessToken('old');
+
+    return api.deals_pipelines().then(function (pipelines) {
+      assert.strictEqual(pipelines[0].pipelineId, 'default');
+      assert.deepEqual(paths(), ['deals/v1/pipelines', 'oauth/v1/token', 'deals/v1/pipelines']);
+    });
+  });
+
+  it('replays a request only once', function () {
+    var api = oauthClient({ access_token: 'old', refresh_token: 'refresh' });
+
+    mock.server.expireAccessToken('old').expireAccessToken('mock-access-token-1');
+
+    return api.deals_pipelines().then(function () {
+      assert.fail('The request should fail');
+    }, function (error) {
+      assert.strictEqual(error.statusCode, 401);
+      assert.deepEqual(paths(), ['deals/v1/pipelines', 'oauth/v1/token', 'deals/v1/pipelines']);
+    });
+  });
+
+  it('shares a single refresh between concurrent requests', function () {
+    var api = oauthClient({ access_token: 'old', refresh_token: 'refresh' });
+
+    mock.server.expireAccessToken('old');
+
+    return Promise.all([api.deals_pipelines(), api.deals_pipelines(), api.contacts_properties()]).then(function () {
+      assert.strictEqual(paths().filter(function (path) {
+        return path === 'oauth/v1/token';
+      }).length, 1);
+    });
+  });
+
+  it('loads the tokens from the store once and saves the refreshed ones', function () {
+    var loads = 0;
+    var saved = [];
+    var api = oauthClient({
+      tokenStore: {
+        load: function (callback) {
+          loads++;
+          setTimeout(function () {
+            callback(null, { access_token: 'stored', refresh_token: 'stored-refresh', expires_at: Date.now() - 1000 });
+          }, 10);
+        },
+        save: function (tokens, callback) {
+          saved.push(tokens);
+          callback(null);
+        }
+      }
+    });
+
+    return Promise.all([api.deals_pipelines(), api.deals_pipelines()]).then(function () {
+      assert.strictEqual(loads, 1);
+      assert.strictEqual(mock.server.requests[0].body.refresh_token, 'stored-refresh');
+      assert.strictEqual(saved.length, 1);
+      assert.strictEqual(saved[0].access_token, 'mock-access-token-1');
+      assert.strictEqual(saved[0].refresh_token, 'stored-refresh');
+      assert.ok(saved[0].expires_at > Date.now());
+    });
+  });
+
+  it('fails requests when the store fails to load', function () {
+    var api = oauthClient({
+      tokenStore: {
+        load: function (callback) {
+          callback(new Error('Store down'));
+        },
+        save: function () {}
+      }
+    });
+
+    return api.deals_pipelines().then(function () {
+      assert.fail('The request should fail');
+    }, function (error) {
+      assert.strictEqual(error.message, 'Store down');
+      assert.deepEqual(paths(), []);
+    });
+  });
+
+  it('exchanges an authorization code for the tokens used from then on', function () {
+    var api = oauthClient({});
+
+    return api.exchangeCode({ code: 'the-code' }).then(function (tokens) {
+      assert.strictEqual(tokens.access_token, 'mock-access-token-1');
+      assert.strictEqual(tokens.refresh_token, 'mock-refresh-token');
+      assert.strictEqual(mock.server.requests[0].body.grant_type, 'authorization_code');
+      assert.strictEqual(mock.server.requests[0].body.code, 'the-code');
+      return api.deals_pipelines();
+    }).then(function () {
+      assert.deepEqual(paths(), ['oauth/v1/token', 'deals/v1/pipelines']);
+    });
+  });
+
+  it('builds the authorization URL', function () {
+    var url = oauthClient({}).authorizeUrl({ scope: ['contacts', 'timeline'], state: 'xyz' });
+
+    assert.strictEqual(url, 'https://app.hubspot.com/oauth/authorize?client_id=client-id' +
+      '&redirect_uri=https%3A%2F%2Fexample.com%2Foauth%2Fcallback&scope=contacts%20timeline&state=xyz');
+  });
+});
@@ -0,0 +1,214 @@
+var assert = require('assert');
+var _ = require('lodash');
+var hubspotAPI = require('../lib/hubspot');
+
+describe('ClientPool', function () {
+  var stub;
+  var pool;
+
+  // Holds every request until the test answers it
+  beforeEach(function () {
+    stub = {
+      pending: [],
+      sent: [],
+      request: function (options, callback) {
+        stub.sent.push(/hapikey=(\w+)/.exec(options.url)[1]);
+        stub.pending.push(callback);
+      },
+      respond: function (statusCode, headers, body) {
+        stub.pending.shift()(null, {
+          statusCode: statusCode || 200,
+          headers: headers || {},
+          body: Buffer.from(JSON.stringify(body || {}))
+        });
+        return tick();
+      }
+    };
+  });
+
+  afterEach(function () {
+    pool.destroy();
+  });
+
+  function createPool(options) {
+    pool = new hubspotAPI.ClientPool(_.assign({ transport: stub }, options));
+    pool.add(1, { api_key: 'one' });
+    pool.add(2, { api_key: 'two' });
+    return pool;
+  }
+
+  function tick() {
+    return new Promise(function (resolve) {
+      setImmediate(resolve);
+    });
+  }
+
+  function call(portalId, options) {
+    return pool.client(portalId).deals_pipelines({}, options);
+  }
+
+  it('creates the clients of unknown portals with the credentials option', function () {
+    createPool({
+      credentials: function (portalId) {
+        return portalId === 3 ? { api_key: 'three' } : null;
+      }
+    });
+
+    assert.strictEqual(pool.client(3), pool.client(3));
+    assert.throws(function () {
+      pool.client(4);
+    }, /No credentials for portal 4/);
+  });
+
+  it('keeps at most `concurrency` requests of a portal in flight', function () {
+    createPool({ concurrency: 2 });
+
+    var calls = [call(1), call(1), call(1)];
+
+    return tick().then(function () {
+      assert.strictEqual(stub.pending.length, 2);
+      assert.strictEqual(pool.stats(1).queued, 1);
+      return stub.respond();
+    }).then(function () {
+      assert.strictEqual(stub.pending.length, 2);
+      return stub.respond().then(stub.respond);
+    }).then(function () {
+      return Promise.all(calls);
+    }).then(function () {
+      assert.strictEqual(pool.stats(1).requests, 3);
+    });
+  });
+
+  it('starts at most `perSecond` requests of a portal a second', function () {
+    createPool({ perSecond: 2 });
+
+    call(1);
+    call(1);
+    call(1);
+
+    return tick().then(function () {
+      return stub.respond().then(stub.respond);
+    }).then(function () {
+      var stats = pool.stats(1);
+
+      assert.strictEqual(stub.pending.length, 0);
+      assert.strictEqual(stats.lastSecond, 2);
+      assert.strictEqual(stats.queued, 1);
+    });
+  });
+
+  it('fails requests beyond the daily budget without sending them', function () {
+    createPool({ daily: 1 });
+
+    var first = call(1);
+
+    return tick().then(function () {
+      return stub.respond();
+    }).then(function () {
+      return first;
+    }).then(function () {
+      return call(1);
+    }).then(function () {
+      assert.fail('The request should fail');
+    }, function (error) {
+      assert.ok(error instanceof hubspotAPI.HubspotRateLimitError);
+      assert.strictEqual(error.policyName, 'DAILY');
+      assert.deepEqual(stub.sent, ['one']);
+    });
+  });
+
+  it('fails requests once HubSpot reports the daily limit used up', function () {
+    createPool();
+
+    var first = call(1);
+
+    return tick().then(function () {
+      return stub.respond(200, { 'x-hubspot-ratelimit-daily': '1000', 'x-hubspot-ratelimit-daily-remaining': '0' });
+    }).then(function () {
+      return first;
+    }).then(function () {
+      return call(1);
+    }).then(function () {
+      assert.fail('The request should fail');
+    }, function (error) {
+      assert.ok(error instanceof hubspotAPI.HubspotRateLimitError);
+      assert.strictEqual(pool.stats(1).dailyLimit, 1000);
+      assert.strictEqual(stub.sent.length, 1);
+    });
+  });
+
+  [
+    { name: 'the secondly limit is used up', headers: { 'x-hubspot-ratelimit-secondly-remaining': '0' }, blocked: 1000 },
+    {
+      name: 'the interval limit is used up',
+      headers: { 'x-hubspot-ratelimit-remaining': '0', 'x-hubspot-ratelimit-interval-milliseconds': '10000' },
+      blocked: 10000
+    },
+    { name: 'a 429 asks to retry later', status: 429, headers: { 'retry-after': '30' }, blocked: 30000 }
+  ].forEach(function (limit) {
+    it('holds back the requests of a portal when ' + limit.name, function () {
+      createPool();
+
+      var first = call(1).catch(function (error) {
+        return error;
+      });
+      var startedAt = Date.now();
+
+      return tick().then(function () {
+        return stub.respond(limit.status, limit.headers, { status: 'error', message: 'Too many requests' });
+      }).then(function () {
+        return first;
+      }).then(function (result) {
+        assert.strictEqual(result instanceof hubspotAPI.HubspotRateLimitError, limit.status === 429);
+
+        call(1);
+        call(2);
+        return tick();
+      }).then(function () {
+        var stats = pool.stats(1);
+
+        assert.ok(stats.blockedUntil >= startedAt + limit.blocked && stats.blockedUntil <= Date.now() + limit.blocked);
+        assert.strictEqual(stats.queued, 1);
+        assert.strictEqual(stats.rateLimited, limit.status === 429 ? 1 : 0);
+        assert.deepEqual(stub.sent, ['one', 'two']);
+      });
+    });
+  });
+
+  it('serves the queues of the portals in turn', function () {
+    createPool({ maxConcurrent: 1 });
+
+    var calls = [call(1), call(1), call(1), call(2)];
+
+    return tick().then(function () {
+      return stub.respond().then(stub.respond).then(stub.respond).then(stub.respond);
+    }).then(function () {
+      return Promise.all(calls);
+    }).then(function () {
+      assert.deepEqual(stub.sent, ['one', 'two', 'one', 'one']);
+    });
+  });
+
+  it('drops queued requests when they are aborted', function () {
+    var controller = new AbortController();
+
+    createPool({ concurrency: 1 });
+    call(1);
+
+    var aborted = call(1, { signal: controller.signal });
+
+    return tick().then(function () {
+      assert.strictEqual(pool.stats(1).queued, 1);
+      controller.abort();
+      return aborted;
+    }).then(function () {
+      assert.fail('The request should be aborted');
+    }, function (error) {
+      assert.ok(error instanceof hubspotAPI.HubspotNetworkError);
+      assert.strictEqual(pool.stats(1).queued, 0);
+      return stub.respond();
+    }).then(function () {
+      assert.deepEqual(stub.sent, ['one']);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+var assert = require('assert');
+var _ = require('lodash');
+var mockServer = require('./support/mock-server');
+
+describe('registry', function () {
+  var mock = mockServer();
+
+  describe('describe', function () {
+    it('summarizes an endpoint', function () {
+      assert.deepEqual(mock.api.describe('deals_get'), {
+        name: 'deals_get',
+        resource: 'deals',
+        verb: 'GET',
+        verbs: undefined,
+        path: 'deals/v1/deal/:deal_id',
+        version: 'v1',
+        pathParams: ['deal_id'],
+        query: ['includePropertyVersions'],
+        body: [],
+        required: [],
+        paginated: false,
+        docs: 'http://developers.hubspot.com/docs/methods/deals/get_deal'
+      });
+      assert.strictEqual(mock.api.describe('all_contacts').paginated, true);
+      assert.strictEqual(mock.api.describe('nothing_here'), undefined);
+    });
+
+    it('lists every method, the composite ones included', function () {
+      var described = _.indexBy(mock.api.describe(), 'name');
+
+      _.forEach(described, function (summary, name) {
+        assert.strictEqual(typeof mock.api[name], 'function', name);
+      });
+
+      assert.deepEqual(described.deals_stage_labels.calls, ['deals_pipelines']);
+      ['contacts', 'companies', 'deals'].forEach(function (type) {
+        var summary = described[type + '_ensure_schema'];
+
+        assert.strictEqual(summary.composite, true);
+        assert.ok(summary.calls.indexOf(type + '_property_create') !== -1);
+        summary.calls.forEach(function (call) {
+          assert.ok(mock.api.describe(call), call);
+        });
+      });
+    });
+  });
+
+  describe('invoke', function () {
+    it('calls an endpoint by name', function () {
+      var deal = mock.server.seed({ deals: [{ dealname: 'Big one' }] }).deals[0];
+
+      return mock.api.invoke('deals_get', { deal_id: deal.dealId }).then(function (read) {
+        assert.strictEqual(read.properties.dealname.value, 'Big one');
+      });
+    });
+
+    it('encodes path params and repeats array query params', function () {
+      mock.server.seed({ contacts: [{ email: 'jane+test@example.com' }] });
+
+      return mock.api.invoke('get_contact_by_email', { email: 'jane+test@example.com', property: ['email', 'firstname'] }).then(function () {
+        var request = mock.server.requests[0];
+
+        assert.strictEqual(request.path, 'contacts/v1/contact/email/jane%2Btest%40example.com/profile');
+        assert.deepEqual(request.query.property, ['email', 'firstname']);
+      });
+    });
+
+    it('fails on unknown endpoints and missing params without sending', function (done) {
+      mock.api.invoke('nothing_here', {}, function (error) {
+        assert.ok(/Unknown hubspot API endpoint nothing_here/.test(error.message));
+
+        mock.api.invoke('deals_get', {}, function (error) {
+          assert.ok(/deals_get requires the deal_id path param/.test(error.message));
+          assert.strictEqual(mock.server.requests.length, 0);
+          done();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,67 @@
+var assert = require('assert');
+var hubspotAPI = require('../lib/hubspot');
+var helpers = require('../lib/hubspot/helpers');
+var mockServer = require('./support/mock-server');
+
+describe('retry', function () {
+  var mock = mockServer({}, { retry: { retries: 2, minDelay: 1, maxDelay: 1000 } });
+
+  it('retries failed requests', function () {
+    mock.server.fail({ path: 'deals/v1/pipelines', status: 503, times: 2 });
+
+    return mock.api.deals_pipelines().then(function (pipelines) {
+      assert.strictEqual(pipelines[0].pipelineId, 'default');
+      assert.strictEqual(mock.server.requests.length, 3);
+    });
+  });
+
+  it('waits as long as Retry-After asks', function () {
+    var startedAt = Date.now();
+
+    mock.server.rateLimit({ path: 'deals/v1/pipelines', retryAfter: 0.2 });
+
+    return mock.api.deals_pipelines().then(function () {
+      assert.strictEqual(mock.server.requests.length, 2);
+      assert.ok(Date.now() - startedAt >= 200);
+    });
+  });
+
+  it('does not retry when Retry-After asks for more than maxDelay', function () {
+    mock.server.rateLimit({ path: 'deals/v1/pipelines', retryAfter: 3600 });
+
+    return mock.api.deals_pipelines().then(function () {
+      assert.fail('The request should fail');
+    }, function (error) {
+      assert.ok(error instanceof hubspotAPI.HubspotRateLimitError);
+      assert.strictEqual(error.attempts, 1);
+      assert.strictEqual(mock.server.requests.length, 1);
+    });
+  });
+
+  it('does not retry a used up daily limit', function () {
+    mock.server.rateLimit({ path: 'deals/v1/pipelines', policyName: 'DAILY', times: 3 });
+
+    return mock.api.deals_pipelines().then(function () {
+      assert.fail('The request should fail');
+    }, function (error) {
+      assert.strictEqual(error.policyName, 'DAILY');
+      assert.strictEqual(mock.server.requests.length, 1);
+    });
+  });
+
+  describe('retryDelay', function () {
+    var options = { minDelay: 100, maxDelay: 1000, factor: 2 };
+
+    it('grows exponentially up to maxDelay', function () {
+      var delay = helpers.retryDelay(2, options);
+
+      assert.ok(delay >= 100 && delay <= 200);
+      assert.ok(helpers.retryDelay(10, options) <= 1000);
+    });
+
+    it('follows Retry-After within maxDelay', function () {
+      assert.strictEqual(helpers.retryDelay(1, options, '0.5'), 500);
+      assert.strictEqual(helpers.retryDelay(1, options, '2'), null);
+    });
+  });
+});
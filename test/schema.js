@@ -0,0 +1,129 @@
+var assert = require('assert');
+var schema = require('../lib/hubspot/schema');
+var mockServer = require('./support/mock-server');
+
+describe('schema', function () {
+  describe('plan', function () {
+    var current = {
+      groups: [{ name: 'info', displayName: 'Info' }],
+      properties: [
+        { name: 'email', groupName: 'info', label: 'Email', hubspotDefined: true },
+        { name: 'plan', groupName: 'billing', label: 'Plan', options: [{ label: 'Free', value: 'free' }] },
+        { name: 'legacy', groupName: 'billing', label: 'Legacy' },
+        { name: 'other', groupName: 'other', label: 'Other' }
+      ]
+    };
+
+    it('changes nothing for an empty schema', function () {
+      assert.deepEqual(schema.plan(current, {}), []);
+      assert.deepEqual(schema.plan({}, { groups: [], properties: [] }, { prune: true }), []);
+    });
+
+    it('creates groups before the properties and updates what differs', function () {
+      var changes = schema.plan(current, {
+        properties: [
+          { name: 'seats', groupName: 'billing', label: 'Seats' },
+          { name: 'plan', options: [{ label: 'Free', value: 'free' }, { label: 'Pro', value: 'pro' }] },
+          { name: 'email', label: 'Email' }
+        ],
+        groups: [{ name: 'billing', displayName: 'Billing' }, { name: 'info', displayName: 'Info' }]
+      });
+
+      assert.deepEqual(changes.map(function (change) {
+        return [change.action, change.kind, change.name];
+      }), [
+        ['create', 'group', 'billing'],
+        ['create', 'property', 'seats'],
+        ['update', 'property', 'plan']
+      ]);
+    });
+
+    it('deletes undeclared custom properties of the declared groups when pruning', function () {
+      var desired = { groups: [{ name: 'billing' }, { name: 'info' }], properties: [{ name: 'plan' }] };
+
+      assert.deepEqual(schema.plan(current, desired), [
+        { action: 'create', kind: 'group', name: 'billing', params: { name: 'billing' } }
+      ]);
+      assert.deepEqual(schema.plan(current, desired, { prune: true }).slice(1), [
+        { action: 'delete', kind: 'property', name: 'legacy', params: { name: 'legacy' } }
+      ]);
+    });
+  });
+
+  describe('ensure_schema', function () {
+    var mock = mockServer();
+    var declared = {
+      groups: [{ name: 'billing', displayName: 'Billing' }],
+      properties: [
+        { name: 'plan', label: 'Plan', groupName: 'billing', type: 'string', fieldType: 'text' },
+        { name: 'firstname', label: 'Given Name' }
+      ]
+    };
+
+    function writes() {
+      return mock.server.requests.filter(function (request) {
+        return request.method !== 'GET';
+      }).map(function (request) {
+        return request.method + ' ' + request.path;
+      });
+    }
+
+    it('changes nothing without params', function () {
+      return mock.api.contacts_ensure_schema().then(function (changes) {
+        assert.deepEqual(changes, []);
+        assert.deepEqual(writes(), []);
+      });
+    });
+
+    it('only plans the changes on a dry run', function () {
+      return mock.api.contacts_ensure_schema({ groups: declared.groups, properties: declared.properties, dryRun: true }).then(function (changes) {
+        assert.deepEqual(changes.map(function (change) {
+          return change.action + ' ' + change.name;
+        }), ['create billing', 'create plan', 'update firstname']);
+        assert.deepEqual(writes(), []);
+      });
+    });
+
+    it('creates the group before its properties, then updates', function () {
+      return mock.api.contacts_ensure_schema(declared).then(function () {
+        assert.deepEqual(writes(), [
+          'POST contacts/v2/groups',
+          'POST contacts/v2/properties',
+          'PUT contacts/v2/properties/named/firstname'
+        ]);
+        return mock.api.contacts_ensure_schema(declared);
+      }).then(function (changes) {
+        assert.deepEqual(changes, []);
+      });
+    });
+
+    it('deletes the undeclared custom properties of the declared groups when pruning', function () {
+      return mock.api.contacts_ensure_schema(declared).then(function () {
+        return mock.api.contacts_property_create({ name: 'legacy', label: 'Legacy', groupName: 'billing' });
+      }).then(function () {
+        mock.server.requests = [];
+        return mock.api.contacts_ensure_schema({ groups: declared.groups, properties: declared.properties, prune: true });
+      }).then(function (changes) {
+        assert.deepEqual(changes, [{ action: 'delete', kind: 'property', name: 'legacy', params: { name: 'legacy' } }]);
+        assert.deepEqual(writes(), ['DELETE contacts/v2/properties/named/legacy']);
+      });
+    });
+
+    it('fails the call on an invalid declaration', function () {
+      return mock.api.deals_ensure_schema({ groups: 'billing' }).then(function () {
+        assert.fail('The call should fail');
+      }, function (error) {
+        assert.ok(error instanceof TypeError);
+      });
+    });
+
+    it('fails the call when a change is rejected', function (done) {
+      mock.server.fail({ method: 'POST', path: 'companies/v2/properties', status: 400 });
+
+      mock.api.companies_ensure_schema({ properties: [{ name: 'tier', groupName: 'companyinformation' }] }, function (error) {
+        assert.strictEqual(error.statusCode, 400);
+        done();
+      });
+    });
+  });
+});
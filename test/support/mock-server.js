@@ -0,0 +1,58 @@
+var hubspotAPI = require('../../lib/hubspot');
+
+/**
+ * Runs a {@link MockServer} for the tests of the calling suite and hands
+ * every test a fresh client of it:
+ *
+ *   describe('deals', function () {
+ *     var mock = mockServer();
+ *
+ *     it('reads a deal', function () {
+ *       return mock.api.deals_get({ deal_id: 1 });
+ *     });
+ *   });
+ *
+ * The records, faults and requests of the server are dropped before every
+ * test, and the connections of the clients closed after it.
+ *
+ * @param serverOptions Options of the MockServer
+ * @param clientOptions Options of `mock.api`
+ * @return {server, api, client(options)}, filled in by the hooks
+ */
+module.exports = function mockServer(serverOptions, clientOptions) {
+  var clients = [];
+  var mock = {
+    server: null,
+    api: null,
+
+    // Further clients, closed after the test like `api`
+    client: function (options) {
+      var api = mock.server.client(options);
+
+      clients.push(api);
+      return api;
+    }
+  };
+
+  before(function (done) {
+    mock.server = new hubspotAPI.testing.MockServer(serverOptions);
+    mock.server.listen(done);
+  });
+
+  after(function (done) {
+    mock.server.close(done);
+  });
+
+  beforeEach(function () {
+    mock.server.reset();
+    mock.api = mock.client(clientOptions);
+  });
+
+  afterEach(function () {
+    clients.splice(0).forEach(function (api) {
+      api.transport.destroy();
+    });
+  });
+
+  return mock;
+};
@@ -0,0 +1,169 @@
+var assert = require('assert');
+var hubspotAPI = require('../lib/hubspot');
+var mockServer = require('./support/mock-server');
+
+var MINUTE = 60 * 1000;
+
+describe('sync', function () {
+  var time;
+  var mock = mockServer({
+    now: function () {
+      return time;
+    }
+  });
+
+  beforeEach(function () {
+    // Seeded records predate the runs, later changes happen now
+    time = Date.now() - 10 * MINUTE;
+  });
+
+  function collect(batches) {
+    return function (records, ack) {
+      batches.push(records);
+      ack();
+    };
+  }
+
+  function ids(batches, field) {
+    return batches.map(function (batch) {
+      return batch.map(function (record) {
+        return record[field];
+      });
+    });
+  }
+
+  [
+    { type: 'contacts', id: 'vid', update: 'contacts_properties_update', idParam: 'contact_id', nameField: 'property' },
+    { type: 'companies', id: 'companyId', update: 'companies_update', idParam: 'company_id', nameField: 'name' },
+    { type: 'deals', id: 'dealId', update: 'deals_update', idParam: 'deal_id', nameField: 'name' }
+  ].forEach(function (type) {
+    describe(type.type, function () {
+      it('scans every record first, then only the changed ones', function () {
+        var seeded = {};
+        var sync;
+        var batches = [];
+
+        seeded[type.type] = [{ name: 'a', email: 'a@example.com' }, { name: 'b', email: 'b@example.com' }, { name: 'c', email: 'c@example.com' }];
+
+        var records = mock.server.seed(seeded)[type.type];
+
+        sync = mock.api.sync(type.type, { batchSize: 2 });
+
+        return sync.run(collect(batches)).then(function (summary) {
+          assert.strictEqual(summary.mode, 'full');
+          assert.strictEqual(summary.records, 3);
+          assert.deepEqual(ids(batches, type.id), [[records[0][type.id], records[1][type.id]], [records[2][type.id]]]);
+
+          time = Date.now();
+
+          var property = { value: 'changed' };
+          var params = { properties: [property] };
+
+          property[type.nameField] = 'name';
+          params[type.idParam] = records[1][type.id];
+
+          return mock.api[type.update](params);
+        }).then(function () {
+          batches = [];
+          return sync.run(collect(batches));
+        }).then(function (summary) {
+          assert.strictEqual(summary.mode, 'recent');
+          assert.deepEqual(ids(batches, type.id), [[records[1][type.id]]]);
+
+          batches = [];
+          return sync.run(collect(batches));
+        }).then(function (summary) {
+          assert.strictEqual(summary.mode, 'recent');
+          assert.deepEqual(batches, []);
+        });
+      });
+    });
+  });
+
+  it('resumes a failed full scan at the first unacknowledged batch', function () {
+    var contacts = [];
+    var delivered = [];
+    var store = new hubspotAPI.MemoryCursorStore();
+    var sync = mock.api.sync('contacts', { store: store, batchSize: 40 });
+    var calls = 0;
+
+    for (var i = 0; i < 230; i++) {
+      contacts.push({ email: 'contact' + i + '@example.com' });
+    }
+
+    mock.server.seed({ contacts: contacts });
+
+    return sync.run(function (records, ack) {
+      if (++calls === 4) {
+        return ack(new Error('Consumer down'));
+      }
+
+      delivered = delivered.concat(records);
+      ack();
+    }).then(function () {
+      assert.fail('The run should fail');
+    }, function (error) {
+      assert.strictEqual(error.message, 'Consumer down');
+      assert.strictEqual(delivered.length, 120);
+
+      mock.server.requests = [];
+      return sync.run(function (records, ack) {
+        delivered = delivered.concat(records);
+        ack();
+      });
+    }).then(function (summary) {
+      assert.strictEqual(summary.mode, 'full');
+      assert.strictEqual(summary.records, 110);
+      assert.strictEqual(mock.server.requests[0].query.vidOffset, '100');
+
+      var vids = delivered.map(function (contact) {
+        return contact.vid;
+      });
+
+      assert.strictEqual(vids.length, 230);
+      assert.deepEqual(vids, vids.slice().sort(function (a, b) {
+        return a - b;
+      }));
+    });
+  });
+
+  it('sends its requests with the transport settings of the options', function () {
+    var controller = new AbortController();
+    var unreachable = mock.client();
+
+    unreachable.httpUri = 'http://127.0.0.1:1';
+    mock.server.seed({ deals: [{ dealname: 'Big one' }] });
+
+    return unreachable.sync('deals', { baseUrl: mock.server.url, timeout: 5000 }).run(collect([])).then(function (summary) {
+      assert.strictEqual(summary.records, 1);
+      controller.abort();
+      return mock.api.sync('deals', { key: 'aborted', signal: controller.signal }).run(collect([]));
+    }).then(function () {
+      assert.fail('The run should be aborted');
+    }, function (error) {
+      assert.ok(error instanceof hubspotAPI.HubspotNetworkError);
+      assert.strictEqual(error.prevError.code, 'ABORT_ERR');
+    });
+  });
+
+  it('scans every record once the recent window is exceeded', function () {
+    var deals = [];
+    var sync = mock.api.sync('deals', { batchSize: 5000 });
+
+    return sync.run(collect([])).then(function () {
+      time = Date.now();
+
+      for (var i = 0; i < 10001; i++) {
+        deals.push({ dealname: 'deal ' + i });
+      }
+
+      mock.server.seed({ deals: deals });
+
+      return sync.run(collect([]));
+    }).then(function (summary) {
+      assert.strictEqual(summary.mode, 'full');
+      assert.strictEqual(summary.reason, 'recent window limit exceeded');
+      assert.strictEqual(summary.records, 10001);
+    });
+  });
+});
@@ -0,0 +1,16 @@
+var assert = require('assert');
+var mockServer = require('./support/mock-server');
+
+describe('timeline', function () {
+  var mock = mockServer();
+
+  it('sends only the fields and properties of timeline events', function () {
+    var event = { id: 'e1', eventTypeId: 3, vid: 5, timestamp: 1, properties: { color: 'red' }, app_id: 9, unrelated: true };
+
+    // The mock has no timeline endpoints, the request is all that matters
+    return mock.api.timeline_event_create_update(event).catch(function () {}).then(function () {
+      assert.strictEqual(mock.server.requests[0].path, 'integrations/v1/9/timeline/event');
+      assert.deepEqual(mock.server.requests[0].body, { color: 'red', id: 'e1', eventTypeId: 3, timestamp: 1, objectId: 5 });
+    });
+  });
+});
@@ -0,0 +1,303 @@
+var assert = require('assert');
+var http = require('http');
+var zlib = require('zlib');
+var _ = require('lodash');
+var hubspotAPI = require('../lib/hubspot');
+var transport = require('../lib/hubspot/transport');
+var serverHttp = require('../lib/hubspot/testing/http');
+
+describe('transport', function () {
+  var ENCODERS = {
+    gzip: zlib.gzipSync,
+    deflate: zlib.deflateSync,
+    'deflate-raw': zlib.deflateRawSync,
+    br: zlib.brotliCompressSync
+  };
+
+  var target = { received: [] };
+  var proxy = { received: [] };
+  var client;
+  var apis;
+
+  // Answers with the received request, encoded as the path asks, or never below /slow
+  target.server = http.createServer(function (req, res) {
+    var encoding = req.url.slice(1);
+    var body = JSON.stringify({ method: req.method, url: req.url, headers: req.headers });
+
+    target.received.push(req.url);
+    if (req.url.indexOf('/slow') === 0) {
+      return;
+    }
+
+    if (!ENCODERS[encoding]) {
+      return res.end(body);
+    }
+
+    res.writeHead(200, { 'Content-Encoding': encoding.replace('-raw', '') });
+    res.end(ENCODERS[encoding](body));
+  });
+
+  proxy.server = http.createServer(function (req, res) {
+    proxy.received.push({ method: req.method, url: req.url, headers: req.headers });
+    res.end(JSON.stringify({ proxied: req.url }));
+  });
+
+  proxy.server.on('connect', function (req, socket) {
+    proxy.received.push({ method: req.method, url: req.url, headers: req.headers });
+    socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+  });
+
+  before(function (done) {
+    serverHttp.listen(target.server, function (error, url) {
+      target.url = url;
+      serverHttp.listen(proxy.server, function (error, url) {
+        proxy.url = url;
+        done(error);
+      });
+    });
+  });
+
+  after(function (done) {
+    target.server.close(function () {
+      proxy.server.close(done);
+    });
+  });
+
+  beforeEach(function () {
+    target.received = [];
+    proxy.received = [];
+    client = new transport.HttpTransport();
+    apis = [];
+  });
+
+  afterEach(function () {
+    client.destroy();
+    apis.forEach(function (api) {
+      api.transport.destroy();
+    });
+    target.server.closeAllConnections();
+    proxy.server.closeAllConnections();
+  });
+
+  function request(options, callback) {
+    client.request(_.assign({ method: 'GET', url: target.url + '/', headers: {} }, options), function (error, response) {
+      callback(error, response && response.body.length ? JSON.parse(response.body) : response);
+    });
+  }
+
+  describe('HttpTransport', function () {
+    Object.keys(ENCODERS).forEach(function (encoding) {
+      it('decodes ' + encoding + ' bodies', function (done) {
+        request({ url: target.url + '/' + encoding }, function (error, body) {
+          assert.ifError(error);
+          assert.strictEqual(body.url, '/' + encoding);
+          assert.strictEqual(body.headers['accept-encoding'], 'gzip, deflate, br');
+          done();
+        });
+      });
+    });
+
+    it('times out with an ETIMEDOUT error', function (done) {
+      request({ url: target.url + '/slow', timeout: 50 }, function (error) {
+        assert.strictEqual(error.code, 'ETIMEDOUT');
+        done();
+      });
+    });
+
+    it('does not send requests whose signal is already aborted', function (done) {
+      var controller = new AbortController();
+
+      controller.abort();
+      request({ signal: controller.signal }, function (error) {
+        assert.strictEqual(error.code, 'ABORT_ERR');
+        assert.deepEqual(target.received, []);
+        done();
+      });
+    });
+
+    it('abandons requests aborted on the way', function (done) {
+      var controller = new AbortController();
+
+      request({ url: target.url + '/slow', signal: controller.signal }, function (error) {
+        assert.strictEqual(error.code, 'ABORT_ERR');
+        done();
+      });
+
+      setTimeout(function () {
+        controller.abort();
+      }, 20);
+    });
+
+    it('sends plain requests to the proxy with the full URL', function (done) {
+      var proxyUrl = proxy.url.replace('//', '//user:secret@');
+
+      request({ url: 'http://api.example.com/deals?limit=2', proxy: proxyUrl }, function (error, body) {
+        assert.ifError(error);
+        assert.strictEqual(body.proxied, 'http://api.example.com/deals?limit=2');
+        assert.strictEqual(proxy.received[0].headers.host, 'api.example.com');
+        assert.strictEqual(proxy.received[0].headers['proxy-authorization'], 'Basic ' + Buffer.from('user:secret').toString('base64'));
+        done();
+      });
+    });
+
+    it('tunnels HTTPS requests through the proxy with CONNECT', function (done) {
+      request({ url: 'https://api.example.com/deals', proxy: proxy.url }, function (error) {
+        assert.ok(/refused to tunnel to api.example.com:443 \(403\)/.test(error.message));
+        assert.strictEqual(proxy.received[0].method, 'CONNECT');
+        assert.strictEqual(proxy.received[0].url, 'api.example.com:443');
+        done();
+      });
+    });
+
+    describe('with proxy environment variables', function () {
+      var env;
+
+      beforeEach(function () {
+        env = _.pick(process.env, ['HTTP_PROXY', 'http_proxy', 'NO_PROXY', 'no_proxy']);
+        ['http_proxy', 'no_proxy'].forEach(function (name) {
+          delete process.env[name];
+        });
+        process.env.HTTP_PROXY = proxy.url;
+      });
+
+      afterEach(function () {
+        ['HTTP_PROXY', 'http_proxy', 'NO_PROXY', 'no_proxy'].forEach(function (name) {
+          delete process.env[name];
+        });
+        _.assign(process.env, env);
+      });
+
+      it('goes through the proxy of HTTP_PROXY', function (done) {
+        request({}, function (error, body) {
+          assert.strictEqual(body.proxied, target.url + '/');
+          done(error);
+        });
+      });
+
+      it('goes around it for the hosts of NO_PROXY', function (done) {
+        process.env.NO_PROXY = 'example.com, 127.0.0.1';
+
+        request({}, function (error, body) {
+          assert.strictEqual(body.url, '/');
+          assert.deepEqual(proxy.received, []);
+          done(error);
+        });
+      });
+
+      it('goes around it with proxy false', function (done) {
+        request({ proxy: false }, function (error, body) {
+          assert.strictEqual(body.url, '/');
+          done(error);
+        });
+      });
+    });
+  });
+
+  describe('linkSignals', function () {
+    it('aborts as soon as any of the signals does', function () {
+      var first = new AbortController();
+      var second = new AbortController();
+      var linked = transport.linkSignals([first.signal, undefined, second.signal]);
+
+      assert.strictEqual(linked.signal.aborted, false);
+      second.abort();
+      assert.strictEqual(linked.signal.aborted, true);
+    });
+
+    it('stops following the signals once released', function () {
+      var first = new AbortController();
+      var linked = transport.linkSignals([first.signal, new AbortController().signal]);
+
+      linked.release();
+      first.abort();
+      assert.strictEqual(linked.signal.aborted, false);
+    });
+
+    it('hands out a single signal as is', function () {
+      var controller = new AbortController();
+
+      assert.strictEqual(transport.linkSignals([undefined, controller.signal]).signal, controller.signal);
+      assert.strictEqual(transport.linkSignals([]).signal, undefined);
+    });
+  });
+
+  describe('client', function () {
+    function api(options) {
+      var created = new hubspotAPI(_.assign({ api_key: 'key', baseUrl: target.url }, options));
+
+      apis.push(created);
+      return created;
+    }
+
+    it('fails with a HubspotNetworkError when the client timeout passes', function () {
+      return api({ timeout: 50, baseUrl: target.url + '/slow' }).deals_pipelines().then(function () {
+        assert.fail('The request should time out');
+      }, function (error) {
+        assert.ok(error instanceof hubspotAPI.HubspotNetworkError);
+        assert.ok(/timed out after 50ms/.test(error.message));
+        assert.strictEqual(error.prevError.code, 'ETIMEDOUT');
+      });
+    });
+
+    it('takes the timeout, signal and baseUrl of a call', function () {
+      var controller = new AbortController();
+      var called = api({ timeout: 10 }).deals_pipelines({}, { timeout: 0, baseUrl: target.url + '/slow', signal: controller.signal });
+
+      setTimeout(function () {
+        controller.abort();
+      }, 80);
+
+      return called.then(function () {
+        assert.fail('The request should be aborted');
+      }, function (error) {
+        assert.ok(error instanceof hubspotAPI.HubspotNetworkError);
+        assert.strictEqual(error.message, 'The hubspot API request was aborted.');
+        assert.deepEqual(target.received, ['/slow/deals/v1/pipelines?hapikey=key']);
+      });
+    });
+
+    it('sends its requests through a custom transport', function () {
+      var sent = [];
+      var custom = new hubspotAPI({
+        api_key: 'key',
+        timeout: 100,
+        transport: {
+          request: function (options, callback) {
+            sent.push(options);
+            callback(null, { statusCode: 200, headers: {}, body: Buffer.from('{"dealId":1}') });
+          }
+        }
+      });
+
+      return custom.deals_update({ deal_id: 1, properties: [] }).then(function (deal) {
+        assert.deepEqual(deal, { dealId: 1 });
+        assert.strictEqual(sent[0].method, 'PUT');
+        assert.strictEqual(sent[0].url, 'https://api.hubapi.com/deals/v1/deal/1?hapikey=key');
+        assert.strictEqual(sent[0].headers['Content-Type'], 'application/json');
+        assert.deepEqual(JSON.parse(sent[0].body), { properties: [] });
+        assert.strictEqual(sent[0].timeout, 100);
+      });
+    });
+
+    it('reports the errors of a custom transport as network errors', function () {
+      var custom = new hubspotAPI({
+        api_key: 'key',
+        transport: {
+          request: function (options, callback) {
+            var error = new Error('connect ECONNREFUSED');
+
+            error.code = 'ECONNREFUSED';
+            callback(error);
+          }
+        }
+      });
+
+      return custom.deals_pipelines().then(function () {
+        assert.fail('The request should fail');
+      }, function (error) {
+        assert.ok(error instanceof hubspotAPI.HubspotNetworkError);
+        assert.strictEqual(error.prevError.code, 'ECONNREFUSED');
+      });
+    });
+  });
+});
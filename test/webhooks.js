@@ -0,0 +1,96 @@
+var assert = require('assert');
+var crypto = require('crypto');
+var _ = require('lodash');
+var hubspotAPI = require('../lib/hubspot');
+
+describe('webhooks', function () {
+  var webhooks;
+
+  beforeEach(function () {
+    webhooks = new hubspotAPI.Webhooks({ client_secret: 'secret' });
+  });
+
+  function request(events, signature, headers) {
+    var body = JSON.stringify(events);
+
+    return {
+      method: 'POST',
+      url: '/hubspot',
+      headers: _.assign({
+        host: 'example.com',
+        'x-hubspot-signature': signature || crypto.createHash('sha256').update('secret' + body).digest('hex')
+      }, headers),
+      rawBody: body
+    };
+  }
+
+  function response(callback) {
+    return {
+      end: function () {
+        callback(this.statusCode);
+      }
+    };
+  }
+
+  it('emits the events of signed requests', function (done) {
+    var received = [];
+
+    webhooks.on('contact.creation', function (event) {
+      received.push(event.objectId);
+    });
+
+    webhooks.handler()(request([{ subscriptionType: 'contact.creation', objectId: 1 }]), response(function (status) {
+      assert.strictEqual(status, 204);
+      assert.deepEqual(received, [1]);
+      done();
+    }));
+  });
+
+  it('rejects requests with an invalid signature', function (done) {
+    webhooks.handler()(request([], 'forged'), response(function (status) {
+      assert.strictEqual(status, 401);
+      done();
+    }));
+  });
+
+  [
+    ['a recent timestamp', String(Date.now() - 1000), 204],
+    ['a stale timestamp', String(Date.now() - 10 * 60 * 1000), 401],
+    ['a timestamp in the future', String(Date.now() + 10 * 60 * 1000), 401],
+    ['a timestamp which is no number', 'yesterday', 401],
+    ['an empty timestamp', '', 401]
+  ].forEach(function (test) {
+    it('answers requests with ' + test[0] + ' with a ' + test[2], function (done) {
+      var headers = { 'x-hubspot-request-timestamp': test[1] };
+
+      webhooks.handler()(request([], null, headers), response(function (status) {
+        assert.strictEqual(status, test[2]);
+        done();
+      }));
+    });
+  });
+
+  it('answers with a 500 when a listener throws', function (done) {
+    webhooks.on('event', function () {
+      throw new Error('Listener bug');
+    });
+
+    webhooks.handler()(request([{ subscriptionType: 'deal.creation', objectId: 2 }]), response(function (status) {
+      assert.strictEqual(status, 500);
+      done();
+    }));
+  });
+
+  it('passes the error of a listener to next', function (done) {
+    webhooks.on('event', function () {
+      throw new Error('Listener bug');
+    });
+
+    webhooks.middleware()(request([{ subscriptionType: 'deal.creation', objectId: 2 }]), response(function () {
+      assert.fail('The middleware should not answer');
+    }), function (error) {
+      assert.strictEqual(error.message, 'Listener bug');
+      done();
+    });
+  });
+});
@@ -0,0 +1,103 @@
+var assert = require('assert');
+var mockServer = require('./support/mock-server');
+
+describe('workflows', function () {
+  var mock = mockServer();
+  var contact;
+  var other;
+  var workflow;
+
+  beforeEach(function () {
+    var seeded = mock.server.seed({
+      contacts: [{ email: 'jane@example.com' }, { email: 'john@example.com' }],
+      workflows: [{ name: 'Nurture', type: 'DRIP_DELAY', enabled: true }]
+    });
+
+    contact = seeded.contacts[0];
+    other = seeded.contacts[1];
+    workflow = seeded.workflows[0];
+  });
+
+  function enrollments() {
+    return mock.api.automation_contact_enrollments({ contact_id: contact.vid }).then(function (workflows) {
+      return workflows.map(function (enrolled) {
+        return enrolled.id;
+      });
+    });
+  }
+
+  it('creates, reads and deletes a workflow', function () {
+    var workflowId;
+
+    return mock.api.automation_workflow_create({ name: 'Welcome', type: 'DRIP_DELAY' }).then(function (created) {
+      workflowId = created.id;
+      return mock.api.automation_workflow({ workflow_id: workflowId });
+    }).then(function (read) {
+      assert.strictEqual(read.name, 'Welcome');
+      return mock.api.automation_workflow_delete({ workflow_id: workflowId });
+    }).then(function () {
+      return mock.api.automation_workflows();
+    }).then(function (response) {
+      assert.deepEqual(response.workflows.map(function (listed) {
+        return listed.id;
+      }), [workflow.id]);
+    });
+  });
+
+  it('requires a name and type to create a workflow', function () {
+    return mock.api.automation_workflow_create({ name: 'Welcome' }).then(function () {
+      assert.fail('The workflow should not be created');
+    }, function (error) {
+      assert.ok(/type/.test(error.message));
+      assert.strictEqual(mock.server.requests.length, 0);
+    });
+  });
+
+  it('enrolls and unenrolls a contact by email', function () {
+    var path = 'automation/v2/workflows/' + workflow.id + '/enrollments/contacts/jane%40example.com';
+
+    return mock.api.automation_workflow_enroll({ workflow_id: workflow.id, email: 'jane@example.com' }).then(function () {
+      return enrollments();
+    }).then(function (ids) {
+      assert.deepEqual(ids, [workflow.id]);
+      return mock.api.automation_workflow_unenroll({ workflow_id: workflow.id, email: 'jane@example.com' });
+    }).then(function () {
+      return enrollments();
+    }).then(function (ids) {
+      assert.deepEqual(ids, []);
+      assert.deepEqual(mock.server.requests.filter(function (request) {
+        return request.path === path;
+      }).map(function (request) {
+        return request.method;
+      }), ['POST', 'DELETE']);
+    });
+  });
+
+  it('fails to enroll in an unknown workflow', function () {
+    return mock.api.automation_workflow_enroll({ workflow_id: 999, email: 'jane@example.com' }).then(function () {
+      assert.fail('The enrollment should fail');
+    }, function (error) {
+      assert.strictEqual(error.statusCode, 404);
+    });
+  });
+
+  it('filters the event log by type and contact', function () {
+    return mock.api.automation_workflow_enroll({ workflow_id: workflow.id, email: 'jane@example.com' }).then(function () {
+      return mock.api.automation_workflow_enroll({ workflow_id: workflow.id, email: 'john@example.com' });
+    }).then(function () {
+      return mock.api.automation_workflow_unenroll({ workflow_id: workflow.id, email: 'jane@example.com' });
+    }).then(function () {
+      return mock.api.automation_workflow_events({ workflow_id: workflow.id, types: ['ENROLLED'], vids: [contact.vid] });
+    }).then(function (events) {
+      assert.deepEqual(events.map(function (event) {
+        return [event.type, event.vid];
+      }), [['ENROLLED', contact.vid]]);
+      return mock.api.automation_workflow_events({ workflow_id: workflow.id, types: ['ENROLLED'] });
+    }).then(function (events) {
+      assert.deepEqual(events.map(function (event) {
+        return event.vid;
+      }), [contact.vid, other.vid]);
+      assert.deepEqual(mock.server.requests.pop().body, { types: ['ENROLLED'] });
+    });
+  });
+});